@@ -1,8 +1,11 @@
-import { LightningElement, api, track } from 'lwc';
+import { LightningElement, api, track, wire } from 'lwc';
 import { NavigationMixin } from 'lightning/navigation';
 import createCompleteAnalysisWithJSON from '@salesforce/apex/AnalysisService.createCompleteAnalysisWithJSON';
 import updateCompleteAnalysisWithJSON from '@salesforce/apex/AnalysisService.updateCompleteAnalysisWithJSON';
 import analyzeFieldsAndGenerateJSONReport from '@salesforce/apex/FieldService.analyzeFieldsAndGenerateJSONReport';
+import getForms from '@salesforce/apex/FormSelectorController.getForms';
+import { BOOKMARK_ACTIONS, actionNeedsTarget } from 'c/bookmarkActions';
+import { defaultQuestion } from 'c/questionTemplates';
 
 export default class AnalysisReview extends NavigationMixin(LightningElement) {
     @api analysisData;
@@ -13,9 +16,29 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
     @track isAnalyzing = true;
     @track autoAnalysisReport = '';
     @track autoFieldAnalysisDetails = [];
+    @track picklistSynonyms = {};
+    @track prefillMappings = [];
+    @track prefillText = '';
+    @track duplicateMatchFields = [];
+    @track bookmarkActions = [];
+    @track bookmarkText = '';
+    @track questionTemplates = {};
+    // Active forms a bookmark can open
+    availableForms = [];
     
     // Auto-trigger field analysis when component loads
     async connectedCallback() {
+        this.picklistSynonyms = { ...(this.analysisData?.picklistSynonyms || {}) };
+        this.prefillMappings = [...(this.analysisData?.prefillMappings || [])];
+        this.prefillText = this.prefillMappings
+            .map(mapping => `${mapping.sourceObject ? mapping.sourceObject + ': ' : ''}${mapping.sourcePath} -> ${mapping.targetField}`)
+            .join('\n');
+        this.duplicateMatchFields = [...(this.analysisData?.duplicateMatchFields || [])];
+        this.bookmarkActions = [...(this.analysisData?.bookmarkActions || [])];
+        this.questionTemplates = { ...(this.analysisData?.questionTemplates || {}) };
+        this.bookmarkText = this.bookmarkActions
+            .map(mapping => `${mapping.bookmarkType} -> ${mapping.action}${mapping.target ? ': ' + (mapping.targetLabel || mapping.target) : ''}`)
+            .join('\n');
         await this.performFieldAnalysis();
     }
     
@@ -32,7 +55,10 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
             const sectionsData = this.analysisData?.sections?.map(section => ({
                 stepNumber: section.stepNumber,
                 text: section.text,
-                fields: section.fields || []
+                fields: section.fields || [],
+                sectionType: section.sectionType,
+                childObject: section.childObject,
+                relationshipField: section.relationshipField
             })) || [];
             
             const result = await analyzeFieldsAndGenerateJSONReport({
@@ -66,6 +92,270 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
         return this.analysisData?.selectedRecordTypeName || 'Master';
     }
     
+    get conflictPolicy() {
+        return this.analysisData?.conflictPolicy || 'Keep Manual';
+    }
+    
+    get confidenceThreshold() {
+        return this.analysisData?.confidenceThreshold ?? null;
+    }
+    
+    get confidenceThresholdLabel() {
+        return this.confidenceThreshold != null ? `${this.confidenceThreshold}%` : 'Off';
+    }
+    
+    get visibilityRules() {
+        return this.analysisData?.visibilityRules || [];
+    }
+    
+    get visibilityRulesLabel() {
+        return this.visibilityRules.length > 0 ? `${this.visibilityRules.length} rule(s)` : 'None';
+    }
+    
+    // Picklist fields with their synonyms as editable "Value = synonym, synonym" lines
+    get picklistFields() {
+        return this.autoFieldAnalysisDetails
+            .filter(field => field.fieldType === 'PICKLIST' || field.fieldType === 'MULTIPICKLIST')
+            .map(field => {
+                const fieldSynonyms = this.picklistSynonyms[field.fieldName] || {};
+                return {
+                    fieldName: field.fieldName,
+                    label: `${field.fieldLabel} synonyms`,
+                    valuesText: (field.picklistValues || []).join(', '),
+                    placeholder: (field.picklistValues || []).slice(0, 2).map(value => `${value} = ...`).join('\n'),
+                    synonymsText: Object.keys(fieldSynonyms)
+                        .map(value => `${value} = ${fieldSynonyms[value].join(', ')}`)
+                        .join('\n')
+                };
+            });
+    }
+    
+    get hasPicklistFields() {
+        return this.picklistFields.length > 0;
+    }
+    
+    handleSynonymsChange(event) {
+        const fieldName = event.target.dataset.fieldName;
+        const parsed = this.parseSynonymLines(event.target.value);
+        const updated = { ...this.picklistSynonyms };
+        
+        if (Object.keys(parsed).length > 0) {
+            updated[fieldName] = parsed;
+        } else {
+            delete updated[fieldName];
+        }
+        this.picklistSynonyms = updated;
+        
+        this.dispatchEvent(new CustomEvent('synonymschange', {
+            detail: { picklistSynonyms: updated }
+        }));
+    }
+    
+    // "Fibre Broadband = fiber, fibre" -> { "Fibre Broadband": ["fiber", "fibre"] }
+    parseSynonymLines(text) {
+        const parsed = {};
+        (text || '').split('\n').forEach(line => {
+            const separatorIndex = line.indexOf('=');
+            if (separatorIndex < 0) {
+                return;
+            }
+            const value = line.slice(0, separatorIndex).trim();
+            const synonyms = line.slice(separatorIndex + 1).split(',')
+                .map(synonym => synonym.trim())
+                .filter(synonym => synonym);
+            if (value && synonyms.length > 0) {
+                parsed[value] = synonyms;
+            }
+        });
+        return parsed;
+    }
+    
+    get prefillMappingsLabel() {
+        return this.prefillMappings.length > 0 ? `${this.prefillMappings.length} mapping(s)` : 'Contact/Account default';
+    }
+    
+    get prefillPlaceholder() {
+        return 'Account: Industry -> Industry__c\nOwnerId -> OwnerId';
+    }
+    
+    handlePrefillChange(event) {
+        this.prefillText = event.target.value;
+        this.prefillMappings = this.parsePrefillLines(this.prefillText);
+        
+        this.dispatchEvent(new CustomEvent('prefillchange', {
+            detail: { prefillMappings: this.prefillMappings }
+        }));
+    }
+    
+    // "Contact: Account.Industry -> Industry__c" -> { sourceObject: "Contact", sourcePath: "Account.Industry", targetField: "Industry__c" }
+    // Lines without a source object apply to whatever record the form is launched from
+    parsePrefillLines(text) {
+        const mappings = [];
+        (text || '').split('\n').forEach(line => {
+            const arrowIndex = line.indexOf('->');
+            if (arrowIndex < 0) {
+                return;
+            }
+            const source = line.slice(0, arrowIndex);
+            const targetField = line.slice(arrowIndex + 2).trim();
+            const colonIndex = source.indexOf(':');
+            const sourceObject = colonIndex >= 0 ? source.slice(0, colonIndex).trim() : '';
+            const sourcePath = source.slice(colonIndex + 1).trim();
+            if (sourcePath && targetField && this.selectedFields.includes(targetField)) {
+                mappings.push({ sourceObject, sourcePath, targetField });
+            }
+        });
+        return mappings;
+    }
+    
+    get duplicateMatchOptions() {
+        return this.selectedFields.map(fieldName => ({ label: fieldName, value: fieldName }));
+    }
+    
+    get duplicateMatchLabel() {
+        return this.duplicateMatchFields.length > 0 ? this.duplicateMatchFields.join(', ') : 'Duplicate rules';
+    }
+    
+    handleDuplicateMatchChange(event) {
+        this.duplicateMatchFields = [...event.detail.value];
+        
+        this.dispatchEvent(new CustomEvent('duplicatematchchange', {
+            detail: { duplicateMatchFields: this.duplicateMatchFields }
+        }));
+    }
+    
+    @wire(getForms)
+    wiredForms({ data, error }) {
+        if (data) {
+            this.availableForms = data;
+        } else if (error) {
+            console.error('Error loading forms for bookmark actions:', error);
+            this.availableForms = [];
+        }
+    }
+    
+    get bookmarkActionsLabel() {
+        return this.bookmarkActions.length > 0 ? `${this.bookmarkActions.length} action(s)` : 'None';
+    }
+    
+    get bookmarkPlaceholder() {
+        return 'Billing -> jump: Billing Details\nVerified -> review: Contact Details\nFollow-up -> note';
+    }
+    
+    get bookmarkTargetsHelp() {
+        const sectionNames = this.sections.map(section => section.sectionName).join(', ') || 'none';
+        const formNames = this.availableForms.map(form => form.label).join(', ') || 'none';
+        return `Sections: ${sectionNames}. Forms: ${formNames}.`;
+    }
+    
+    handleBookmarkActionsChange(event) {
+        this.bookmarkText = event.target.value;
+        this.bookmarkActions = this.parseBookmarkLines(this.bookmarkText);
+        
+        this.dispatchEvent(new CustomEvent('bookmarkactionschange', {
+            detail: { bookmarkActions: this.bookmarkActions }
+        }));
+    }
+    
+    // "Billing -> jump: Billing Details" -> { bookmarkType: "Billing", action: "jump", target: "Billing Details" }
+    // Section targets must name a section of this form; form targets are stored by ID with the name kept for display
+    parseBookmarkLines(text) {
+        const mappings = [];
+        const actions = Object.values(BOOKMARK_ACTIONS);
+        (text || '').split('\n').forEach(line => {
+            const arrowIndex = line.indexOf('->');
+            if (arrowIndex < 0) {
+                return;
+            }
+            const bookmarkType = line.slice(0, arrowIndex).trim();
+            const actionText = line.slice(arrowIndex + 2);
+            const colonIndex = actionText.indexOf(':');
+            const action = (colonIndex >= 0 ? actionText.slice(0, colonIndex) : actionText).trim().toLowerCase();
+            const targetText = colonIndex >= 0 ? actionText.slice(colonIndex + 1).trim() : '';
+            if (!bookmarkType || !actions.includes(action)) {
+                return;
+            }
+            
+            if (!actionNeedsTarget(action)) {
+                mappings.push({ bookmarkType, action });
+            } else if (action === BOOKMARK_ACTIONS.OPEN_FORM) {
+                const form = this.availableForms.find(item =>
+                    item.id === targetText || item.label.toLowerCase() === targetText.toLowerCase());
+                if (form) {
+                    mappings.push({ bookmarkType, action, target: form.id, targetLabel: form.label });
+                }
+            } else {
+                const section = this.sections.find(item => (item.sectionName || '').toLowerCase() === targetText.toLowerCase());
+                if (section) {
+                    mappings.push({ bookmarkType, action, target: section.sectionName });
+                }
+            }
+        });
+        return mappings;
+    }
+    
+    // Question the next question panel suggests for each field; blank keeps the question built from the label
+    get questionFields() {
+        return this.autoFieldAnalysisDetails.map(field => ({
+            fieldName: field.fieldName,
+            label: `${field.fieldLabel} question`,
+            placeholder: defaultQuestion(field),
+            template: this.questionTemplates[field.fieldName] || ''
+        }));
+    }
+    
+    get hasQuestionFields() {
+        return this.questionFields.length > 0;
+    }
+    
+    get questionTemplatesLabel() {
+        const count = Object.keys(this.questionTemplates).length;
+        return count > 0 ? `${count} template(s)` : 'From field labels';
+    }
+    
+    handleQuestionTemplateChange(event) {
+        const fieldName = event.target.dataset.fieldName;
+        const template = (event.target.value || '').trim();
+        const updated = { ...this.questionTemplates };
+        
+        if (template) {
+            updated[fieldName] = template;
+        } else {
+            delete updated[fieldName];
+        }
+        this.questionTemplates = updated;
+        
+        this.dispatchEvent(new CustomEvent('questiontemplateschange', {
+            detail: { questionTemplates: updated }
+        }));
+    }
+    
+    // Form-level runtime settings saved alongside the analysis record
+    get formSettings() {
+        return {
+            conflictPolicy: this.conflictPolicy,
+            confidenceThreshold: this.confidenceThreshold,
+            picklistSynonyms: Object.keys(this.picklistSynonyms).length > 0
+                ? JSON.stringify(this.picklistSynonyms)
+                : null,
+            visibilityRules: this.visibilityRules.length > 0
+                ? JSON.stringify(this.visibilityRules)
+                : null,
+            prefillMappings: this.prefillMappings.length > 0
+                ? JSON.stringify(this.prefillMappings)
+                : null,
+            duplicateMatchFields: this.duplicateMatchFields.length > 0
+                ? this.duplicateMatchFields.join(',')
+                : null,
+            bookmarkActions: this.bookmarkActions.length > 0
+                ? JSON.stringify(this.bookmarkActions)
+                : null,
+            questionTemplates: Object.keys(this.questionTemplates).length > 0
+                ? JSON.stringify(this.questionTemplates)
+                : null
+        };
+    }
+    
     get selectedFields() {
         return this.analysisData?.allSelectedFields || [];
     }
@@ -85,6 +375,10 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
             sectionName: section.text,
             sectionOrder: section.stepNumber,
             selectedFields: section.fields || [],
+            sectionType: section.sectionType,
+            childObject: section.childObject,
+            relationshipField: section.relationshipField,
+            isChildSection: section.sectionType === 'Child Records',
             fieldsText: section.fields ? section.fields.join(', ') : '',
             hasFields: section.fields && section.fields.length > 0
         }));
@@ -110,9 +404,18 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
             const sectionAnalysis = {
                 sectionName: section.sectionName,
                 sectionOrder: section.sectionOrder,
+                isChildSection: section.isChildSection,
+                childObject: section.childObject,
+                fieldsText: section.fieldsText,
                 fields: []
             };
             
+            // Child row fields belong to another object and are not in the field analysis
+            if (section.isChildSection) {
+                analysis.push(sectionAnalysis);
+                return;
+            }
+            
             section.selectedFields.forEach(fieldName => {
                 const fieldDetail = this.autoFieldAnalysisDetails.find(f => f.fieldName === fieldName);
                 if (fieldDetail) {
@@ -153,7 +456,10 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
             const sectionsData = this.sections.map(section => ({
                 stepNumber: section.sectionOrder,
                 text: section.sectionName,
-                fields: section.selectedFields || []
+                fields: section.selectedFields || [],
+                sectionType: section.sectionType,
+                childObject: section.childObject,
+                relationshipField: section.relationshipField
             }));
             
             let analysisId;
@@ -168,7 +474,8 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
                     recordTypeId: this.analysisData.selectedRecordType || '',
                     selectedFields: this.selectedFields,
                     sections: sectionsData,
-                    formName: this.analysisData.formName || null
+                    formName: this.analysisData.formName || null,
+                    settings: this.formSettings
                 });
                 
                 message = this.hasSections 
@@ -181,7 +488,8 @@ export default class AnalysisReview extends NavigationMixin(LightningElement) {
                     recordTypeId: this.analysisData.selectedRecordType || '',
                     selectedFields: this.selectedFields,
                     sections: sectionsData,
-                    formName: this.analysisData.formName || null
+                    formName: this.analysisData.formName || null,
+                    settings: this.formSettings
                 });
                 
                 message = this.hasSections 
@@ -0,0 +1,43 @@
+// What a form does when the agent drops a RocketPhone bookmark (Dynamic_Field_Analysis__c.Bookmark_Actions__c).
+// Each entry maps a bookmark type to one action: [{ bookmarkType, action, target }]; target is a section name
+// for section actions and a form ID for 'open'.
+
+export const BOOKMARK_ACTIONS = {
+    JUMP_TO_SECTION: 'jump',
+    MARK_SECTION_REVIEWED: 'review',
+    SAVE_DRAFT: 'save',
+    OPEN_FORM: 'open',
+    ADD_NOTE: 'note'
+};
+
+const TARGETED_ACTIONS = [BOOKMARK_ACTIONS.JUMP_TO_SECTION, BOOKMARK_ACTIONS.MARK_SECTION_REVIEWED, BOOKMARK_ACTIONS.OPEN_FORM];
+
+export function actionNeedsTarget(action) {
+    return TARGETED_ACTIONS.includes(action);
+}
+
+function normalize(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+// Bookmark types are matched without regard to case or surrounding spaces
+export function findBookmarkAction(bookmarkActions, bookmarkType) {
+    const type = normalize(bookmarkType);
+    return type ? (bookmarkActions || []).find(mapping => normalize(mapping.bookmarkType) === type) || null : null;
+}
+
+export function parseBookmarkActions(actionsJson) {
+    if (!actionsJson) {
+        return [];
+    }
+    try {
+        const actions = JSON.parse(actionsJson);
+        return Array.isArray(actions)
+            ? actions.filter(mapping => mapping && mapping.bookmarkType && Object.values(BOOKMARK_ACTIONS).includes(mapping.action) &&
+                (!actionNeedsTarget(mapping.action) || mapping.target))
+            : [];
+    } catch (error) {
+        console.error('Error parsing bookmark actions:', error);
+        return [];
+    }
+}
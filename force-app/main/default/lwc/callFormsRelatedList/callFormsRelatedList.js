@@ -0,0 +1,111 @@
+import { LightningElement, api, track } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import getDraftFormsForCall from '@salesforce/apex/DraftFormService.getDraftFormsForCall';
+
+// DraftForm__c.Status__c of forms saved automatically when their call ended
+const WRAP_UP_STATUS = 'Needs Wrap-up';
+
+// Related list for a call activity or Task record page: the forms captured during that call
+export default class CallFormsRelatedList extends NavigationMixin(LightningElement) {
+    @api recordId;
+    @track forms = [];
+    @track isLoading = true;
+
+    connectedCallback() {
+        this.loadForms();
+    }
+
+    async loadForms() {
+        this.isLoading = true;
+        try {
+            const drafts = await getDraftFormsForCall({ callRecordId: this.recordId });
+            this.forms = drafts.map(draft => this.toListItem(draft));
+        } catch (error) {
+            console.error('Error loading forms for call:', error);
+            this.forms = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    toListItem(draft) {
+        let formData = {};
+        try {
+            formData = JSON.parse(draft.Form_Data_JSON__c || '{}');
+        } catch (parseError) {
+            console.warn('Error parsing draft form data:', parseError);
+        }
+
+        const status = draft.Status__c || 'Draft';
+        let statusText = `${formData.progress || 0}% Complete`;
+        if (status === 'Created') {
+            statusText = 'Created';
+        } else if (status === WRAP_UP_STATUS) {
+            statusText = 'Call ended – needs wrap-up';
+        }
+
+        return {
+            draftRecordId: draft.Id,
+            formId: draft.Form_ID__c,
+            sourceRecordId: draft.Source_Record_ID__c,
+            createdRecordId: draft.Created_Record_ID__c,
+            status: status,
+            statusText: statusText,
+            hasCreatedRecord: status === 'Created' && !!draft.Created_Record_ID__c,
+            label: `${formData.objectName || 'Unknown'} / ${formData.formName || 'Untitled Form'}`,
+            createdBy: draft.CreatedBy?.Name || 'Unknown User'
+        };
+    }
+
+    get hasForms() {
+        return this.forms.length > 0;
+    }
+
+    get cardTitle() {
+        return `RocketForms from this call (${this.forms.length})`;
+    }
+
+    handleRefresh() {
+        this.loadForms();
+    }
+
+    // Open the draft in the runtime form, or the created record in update mode
+    handleOpenForm(event) {
+        const form = this.forms.find(item => item.draftRecordId === event.currentTarget.dataset.draftRecordId);
+        if (!form) return;
+
+        const navigationState = {
+            c__formId: form.formId,
+            c__draftRecordId: form.draftRecordId,
+            c__mode: 'edit'
+        };
+
+        if (form.sourceRecordId) {
+            navigationState.c__recordId = form.sourceRecordId;
+        }
+
+        if (form.hasCreatedRecord) {
+            navigationState.c__createdRecordId = form.createdRecordId;
+            navigationState.c__mode = 'update';
+        }
+
+        this[NavigationMixin.Navigate]({
+            type: 'standard__navItemPage',
+            attributes: {
+                apiName: 'RocketForm'
+            },
+            state: navigationState
+        });
+    }
+
+    handleCreatedRecordClick(event) {
+        event.preventDefault();
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: {
+                recordId: event.currentTarget.dataset.recordId,
+                actionName: 'view'
+            }
+        });
+    }
+}
@@ -0,0 +1,131 @@
+import { LightningElement, api, wire } from 'lwc';
+import { getPicklistValues } from 'lightning/uiObjectInfoApi';
+
+// lightning-input types for the UI API data types that map onto a plain input
+const INPUT_TYPES = {
+    Date: 'date',
+    DateTime: 'datetime',
+    Time: 'time',
+    Email: 'email',
+    Phone: 'tel',
+    Url: 'url',
+    Int: 'number',
+    Double: 'number',
+    Currency: 'number',
+    Percent: 'number'
+};
+
+// Child Records row input driven by the child object's field metadata. Rows are saved through submitForm,
+// so these inputs stay out of the parent's lightning-record-edit-form.
+export default class ChildRecordField extends LightningElement {
+    // Entry from the child objectInfo.fields; undefined while the metadata loads
+    @api fieldInfo;
+    @api fieldName;
+    @api objectApiName;
+    @api recordTypeId;
+    @api value;
+
+    picklistOptions = [];
+
+    get dataType() {
+        return this.fieldInfo?.dataType;
+    }
+
+    get label() {
+        return this.fieldInfo?.label || this.fieldName;
+    }
+
+    get isCheckbox() {
+        return this.dataType === 'Boolean';
+    }
+
+    get isPicklist() {
+        return this.dataType === 'Picklist';
+    }
+
+    get isMultiPicklist() {
+        return this.dataType === 'MultiPicklist';
+    }
+
+    get isReference() {
+        return this.dataType === 'Reference' && !!this.referenceObjectApiName;
+    }
+
+    get isTextArea() {
+        return this.dataType === 'TextArea';
+    }
+
+    get isInput() {
+        return !this.isCheckbox && !this.isPicklist && !this.isMultiPicklist && !this.isReference && !this.isTextArea;
+    }
+
+    get inputType() {
+        return INPUT_TYPES[this.dataType] || 'text';
+    }
+
+    get numberFormatter() {
+        if (this.dataType === 'Currency') {
+            return 'currency';
+        }
+        return this.dataType === 'Percent' ? 'percent-fixed' : undefined;
+    }
+
+    get step() {
+        if (this.inputType !== 'number') {
+            return undefined;
+        }
+        const scale = this.dataType === 'Int' ? 0 : this.fieldInfo?.scale;
+        return scale > 0 ? Math.pow(10, -scale) : 1;
+    }
+
+    get isChecked() {
+        return this.value === true || this.value === 'true';
+    }
+
+    get multiPicklistValue() {
+        return this.value ? String(this.value).split(';') : [];
+    }
+
+    // Polymorphic lookups offer the first object they reference
+    get referenceObjectApiName() {
+        return this.fieldInfo?.referenceToInfos?.[0]?.apiName;
+    }
+
+    get picklistFieldApiName() {
+        return (this.isPicklist || this.isMultiPicklist) && this.objectApiName
+            ? `${this.objectApiName}.${this.fieldName}`
+            : undefined;
+    }
+
+    @wire(getPicklistValues, { recordTypeId: '$recordTypeId', fieldApiName: '$picklistFieldApiName' })
+    wiredPicklistValues({ data, error }) {
+        if (data) {
+            this.picklistOptions = (data.values || []).map(entry => ({ label: entry.label, value: entry.value }));
+        } else if (error) {
+            console.error('Error loading child picklist values', error);
+            this.picklistOptions = [];
+        }
+    }
+
+    handleInputChange(event) {
+        this.dispatchValue(event.target.value);
+    }
+
+    handleCheckboxChange(event) {
+        this.dispatchValue(event.target.checked);
+    }
+
+    handleMultiPicklistChange(event) {
+        this.dispatchValue((event.detail.value || []).join(';'));
+    }
+
+    handleRecordChange(event) {
+        this.dispatchValue(event.detail.recordId || null);
+    }
+
+    dispatchValue(value) {
+        this.dispatchEvent(new CustomEvent('valuechange', {
+            detail: { fieldName: this.fieldName, value: value }
+        }));
+    }
+}
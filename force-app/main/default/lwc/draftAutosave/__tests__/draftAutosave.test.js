@@ -0,0 +1,93 @@
+import DraftAutosave, { AUTOSAVE_STATUS } from 'c/draftAutosave';
+
+// Lets the save promise chain settle after a timer fires
+const settle = () => new Promise(jest.requireActual('timers').setImmediate);
+
+// Runs each retry in turn
+const runRetries = delays => delays.reduce(
+    (previous, delay) => previous.then(() => {
+        jest.advanceTimersByTime(delay);
+        return settle();
+    }),
+    Promise.resolve()
+);
+
+describe('c-draft-autosave', () => {
+    let save;
+    let autosave;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        save = jest.fn().mockResolvedValue(undefined);
+        autosave = new DraftAutosave(save, jest.fn());
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        console.error.mockRestore();
+    });
+
+    it('writes once after changes stop arriving', async () => {
+        autosave.schedule();
+        jest.advanceTimersByTime(2000);
+        autosave.schedule();
+        jest.advanceTimersByTime(2999);
+        expect(save).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        await settle();
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(autosave.status).toBe(AUTOSAVE_STATUS.SAVED);
+    });
+
+    it('writes at once on flush', async () => {
+        autosave.schedule();
+        await autosave.flush();
+        expect(save).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(3000);
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries a rejected write a bounded number of times, then waits for the next change', async () => {
+        save.mockRejectedValue({ status: 400, body: { message: 'Invalid field' } });
+        autosave.schedule();
+        await autosave.flush();
+        expect(autosave.status).toBe(AUTOSAVE_STATUS.ERROR);
+
+        await runRetries([2000, 5000, 15000, 30000]);
+        expect(save).toHaveBeenCalledTimes(5);
+
+        jest.advanceTimersByTime(60000);
+        await autosave.flush();
+        expect(save).toHaveBeenCalledTimes(5);
+
+        autosave.schedule();
+        await autosave.flush();
+        expect(save).toHaveBeenCalledTimes(6);
+    });
+
+    it('keeps unreachable-server writes for the next flush once retries run out', async () => {
+        save.mockRejectedValue({ status: 0 });
+        autosave.schedule();
+        await autosave.flush();
+        expect(autosave.status).toBe(AUTOSAVE_STATUS.OFFLINE);
+
+        await runRetries([2000, 5000, 15000, 30000]);
+        expect(save).toHaveBeenCalledTimes(5);
+
+        save.mockResolvedValue(undefined);
+        await autosave.flush();
+        expect(save).toHaveBeenCalledTimes(6);
+        expect(autosave.status).toBe(AUTOSAVE_STATUS.SAVED);
+    });
+
+    it('writes nothing after stop', async () => {
+        autosave.schedule();
+        await autosave.stop();
+        jest.advanceTimersByTime(3000);
+        await autosave.flush();
+        expect(save).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,132 @@
+// Background saving of the runtime form to its DraftForm__c record.
+// Changes are coalesced into one write after a quiet period; a write requested while another is in flight
+// runs once that one finishes. Failed writes are retried a few times with backoff, then wait for the next change
+// (or, when the server was unreachable, the next flush) so a rejected draft is not resent forever.
+
+export const AUTOSAVE_STATUS = {
+    IDLE: 'idle',
+    PENDING: 'pending',
+    SAVING: 'saving',
+    SAVED: 'saved',
+    OFFLINE: 'offline',
+    ERROR: 'error'
+};
+
+const QUIET_PERIOD_MS = 3000;
+const RETRY_DELAYS_MS = [2000, 5000, 15000, 30000];
+
+// Apex calls that never reached the server report status 0
+function isConnectivityError(error) {
+    return navigator.onLine === false || error?.status === 0;
+}
+
+export default class DraftAutosave {
+    status = AUTOSAVE_STATUS.IDLE;
+    lastSavedAt = null;
+    lastError = null;
+
+    timerId = null;
+    inFlight = null;
+    hasPendingChanges = false;
+    retryCount = 0;
+    isStopped = false;
+
+    /**
+     * @param {Function} save async () => void; reads the latest form state when called
+     * @param {Function} onStatusChange (status, lastSavedAt, lastError) => void
+     */
+    constructor(save, onStatusChange) {
+        this.save = save;
+        this.onStatusChange = onStatusChange;
+    }
+
+    // Restart the quiet period; the write happens once changes stop arriving
+    schedule() {
+        if (this.isStopped) {
+            return;
+        }
+        this.hasPendingChanges = true;
+        this.retryCount = 0;
+        if (this.status !== AUTOSAVE_STATUS.OFFLINE) {
+            this.setStatus(AUTOSAVE_STATUS.PENDING);
+        }
+        this.startTimer(QUIET_PERIOD_MS);
+    }
+
+    // Write now if anything is unsaved (section change, tab hidden, page unload, back online)
+    flush() {
+        this.clearTimer();
+        if (this.isStopped || !this.hasPendingChanges) {
+            return this.inFlight || Promise.resolve();
+        }
+        if (this.inFlight) {
+            return this.inFlight;
+        }
+
+        this.hasPendingChanges = false;
+        this.setStatus(AUTOSAVE_STATUS.SAVING);
+        this.inFlight = Promise.resolve()
+            .then(() => this.save())
+            .then(() => {
+                this.retryCount = 0;
+                this.lastSavedAt = Date.now();
+                this.lastError = null;
+                this.setStatus(AUTOSAVE_STATUS.SAVED);
+            })
+            .catch(error => {
+                console.error('Draft autosave failed:', error);
+                const isOffline = isConnectivityError(error);
+                this.lastError = isOffline ? null : error;
+                this.setStatus(isOffline ? AUTOSAVE_STATUS.OFFLINE : AUTOSAVE_STATUS.ERROR);
+                if (this.retryCount < RETRY_DELAYS_MS.length) {
+                    this.hasPendingChanges = true;
+                    this.startTimer(RETRY_DELAYS_MS[this.retryCount]);
+                    this.retryCount++;
+                } else {
+                    // Out of retries: unreachable-server writes still go out on the next flush
+                    this.hasPendingChanges = isOffline;
+                }
+            })
+            .finally(() => {
+                this.inFlight = null;
+                // Changes made during the write go out in the next one
+                if (this.hasPendingChanges && this.status === AUTOSAVE_STATUS.SAVED) {
+                    this.startTimer(QUIET_PERIOD_MS);
+                }
+            });
+        return this.inFlight;
+    }
+
+    // Drop unsaved changes and stop writing (record submitted, form cancelled); resolves after any write in flight
+    stop() {
+        this.isStopped = true;
+        this.hasPendingChanges = false;
+        this.clearTimer();
+        return this.inFlight || Promise.resolve();
+    }
+
+    startTimer(delay) {
+        this.clearTimer();
+        if (this.isStopped) {
+            return;
+        }
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            this.flush();
+        }, delay);
+    }
+
+    clearTimer() {
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status, this.lastSavedAt, this.lastError);
+        }
+    }
+}
@@ -1,20 +1,82 @@
 import { LightningElement, track, wire } from 'lwc';
 import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import { getObjectInfo } from 'lightning/uiObjectInfoApi';
+import { getObjectInfo, getObjectInfos, getPicklistValuesByRecordType } from 'lightning/uiObjectInfoApi';
 import Listening from "@salesforce/resourceUrl/Listening";
 import RPISTOLWC from "@salesforce/messageChannel/FORMMC__c";
-import { subscribe, MessageContext } from 'lightning/messageService';
+import { subscribe, publish, MessageContext } from 'lightning/messageService';
 import noHeader from '@salesforce/resourceUrl/NoHeader';
 import {loadStyle} from "lightning/platformResourceLoader";
 
 import getObjectFieldsData from '@salesforce/apex/DynamicObjectService.getObjectFieldsData';
-import getContactAndAccountData from '@salesforce/apex/DynamicObjectService.getContactAndAccountData';
+import getPrefillValues from '@salesforce/apex/DynamicObjectService.getPrefillValues';
+import searchLookupRecords from '@salesforce/apex/DynamicObjectService.searchLookupRecords';
+import submitForm from '@salesforce/apex/DynamicObjectService.submitForm';
+import getRecordValues from '@salesforce/apex/DynamicObjectService.getRecordValues';
+import findDuplicateRecords from '@salesforce/apex/DynamicObjectService.findDuplicateRecords';
 
 import saveDraftForm from '@salesforce/apex/DraftFormService.saveDraftForm';
 import getDraftById from '@salesforce/apex/DraftFormService.getDraftById';
 import deleteDraftForm from '@salesforce/apex/DraftFormService.deleteDraftForm';
-import updateDraftStatus from '@salesforce/apex/DraftFormService.updateDraftStatus';
+import autosaveDraftForm from '@salesforce/apex/DraftFormService.autosaveDraftForm';
+import saveWrapUpDraft from '@salesforce/apex/DraftFormService.saveWrapUpDraft';
+import closeActiveForm from '@salesforce/apex/TestLWCConnection.closeActiveForm';
+import updateActiveForm from '@salesforce/apex/TestLWCConnection.updateActiveForm';
+import getForms from '@salesforce/apex/FormSelectorController.getForms';
+import { convertFieldValue, isRecordId } from 'c/fieldValueConverter';
+import { matchPicklistValue, matchMultiPicklistValue } from 'c/picklistMatcher';
+import FormHistory from 'c/formHistory';
+import DraftAutosave, { AUTOSAVE_STATUS } from 'c/draftAutosave';
+import { RULE_TARGET_TYPES, isTargetVisible, parseVisibilityRules } from 'c/visibilityRules';
+import { BOOKMARK_ACTIONS, findBookmarkAction, parseBookmarkActions } from 'c/bookmarkActions';
+import { getQuestion, parseFieldDetails, parseQuestionTemplates } from 'c/questionTemplates';
+
+// Where a field value came from, persisted with drafts so reviewers can tell AI input from agent input
+const FIELD_SOURCES = {
+    VOICE: 'voice',
+    MANUAL: 'manual',
+    // Source-record prefill; the stored value predates configurable mappings
+    PREFILL: 'contact',
+    DRAFT: 'draft',
+    SESSION: 'session'
+};
+
+// Per-form policy for AI values arriving on fields the agent already edited (Dynamic_Field_Analysis__c.Conflict_Policy__c)
+const CONFLICT_POLICIES = {
+    KEEP_MANUAL: 'Keep Manual',
+    ACCEPT_AI: 'Accept AI',
+    SUGGEST: 'Suggest'
+};
+
+const FIELD_SOURCE_LABELS = {
+    voice: 'Voice AI',
+    manual: 'Agent',
+    contact: 'Auto-fill',
+    draft: 'Draft',
+    session: 'Restored'
+};
+
+// Buffer key for voice messages that do not name a target form
+const ANY_FORM_KEY = '*';
+
+// Inputs bound to the form's own record; Child Records rows use c-child-record-field instead
+const FORM_FIELD_SELECTOR = 'lightning-input-field[data-field-name]';
+
+// Dynamic_Field_Instructions__c.Section_Type__c for repeatable related-record rows
+const CHILD_RECORDS_SECTION_TYPE = 'Child Records';
+
+// Read alongside the form's fields to tell whether a saved record was edited elsewhere since
+const LAST_MODIFIED_FIELD = 'LastModifiedDate';
+
+// Recent utterances searched for a value's wording when the extraction payload does not name its utterance
+const TRANSCRIPT_MATCH_WINDOW = 20;
+
+// Questions shown in the next question panel, and AI-detected questions kept for it
+const NEXT_QUESTION_LIMIT = 3;
+const DETECTED_QUESTION_LIMIT = 10;
+
+// Version of the fieldUpdatedByAgent FORMMC message; bump when its fields change meaning
+const AGENT_EDIT_MESSAGE_VERSION = 1;
 
 export default class DynamicCreatorWithDropdown extends NavigationMixin(LightningElement) {
     @wire(MessageContext)
@@ -38,6 +100,17 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
     @track objectFieldsData = null;
     @track sectionSteps = [];
     @track filledFields = new Set();
+    @track fieldSources = {};
+    @track aiSuggestions = {};
+    @track lookupChoices = {};
+    dismissedSuggestions = {};
+    @track pendingSuggestions = {};
+    @track conversionIssues = {};
+    conflictPolicy = CONFLICT_POLICIES.KEEP_MANUAL;
+    confidenceThreshold = null;
+    picklistSynonyms = {};
+    objectInfo;
+    picklistFieldValues = {};
     @track completedSteps = new Set();
     @track isLoadingFields = false;
     @track isCreating = false;
@@ -53,9 +126,94 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
     @track isUpdateMode = false;
     @track recordIdToUpdate;
     @track modalContext = 'cancel';
+    // Update mode confirm step: [{ fieldName, fieldLabel, oldValue, newValue, sourceLabel, selected }]
+    @track showUpdateReviewModal = false;
+    @track updateChanges = [];
+    pendingUpdate = null;
+    // Create mode duplicate check: [{ id, name, matchReason, url }] and the submit waiting on the agent's choice
+    @track showDuplicateModal = false;
+    @track duplicateCandidates = [];
+    pendingCreate = null;
+    isCheckingDuplicates = false;
+    // Set when the agent picks a duplicate; applied once the record-edit-form has loaded that record
+    pendingRecordSwitch = null;
+    // The record as this form last saved it ({ lastModifiedDate, values }), kept on the draft for update mode merges
+    recordBaseline = null;
     
     _saveDataTimeout;
     RPISTOLWCSubscription = null;
+    
+    // Reported to the realtime client, which stores voice data on the drafts of forms no instance has open
+    instanceId = this.generateUniqueFormId();
+    // Voice data received before the form's fields are rendered and restored: { externalFormId: [{ sequence, payload }] }
+    bufferedFieldValues = {};
+    bufferSequence = 0;
+    fieldsReady = false;
+    isRestoringDraft = false;
+    // Draft-stored voice batches applied to this form; the server drops them on the next draft save
+    appliedIncomingDataIds = [];
+    
+    // Undo/redo of field changes from every source; lastKnownValues gives manual edits their previous value
+    history = new FormHistory();
+    lastKnownValues = {};
+    isApplyingHistory = false;
+    @track canUndo = false;
+    @track canRedo = false;
+    @track canRevertAiBatch = false;
+    @track revertableFields = new Set();
+    // Set after a blocked submit so missing required fields are flagged
+    @track showValidationErrors = false;
+    // Errors from the last failed save: messages by field, errors not tied to a form field, and counts by section name
+    @track submitFieldErrors = {};
+    @track submitPageErrors = [];
+    @track sectionSubmitErrors = {};
+    
+    // Conditional visibility configured in the form builder, re-evaluated on every value change
+    visibilityRules = [];
+    @track hiddenFields = new Set();
+    @track hiddenSections = new Set();
+    
+    // Child Records rows by section ID: [{ key, values: { FieldApiName: value }, issues: { FieldApiName: message } }]
+    @track childRows = {};
+    nextChildRowKey = 1;
+    childObjectInfos = {};
+    
+    // Key prefixes of the objects the form's lookups point at, by object API name
+    referenceKeyPrefixes = {};
+    
+    // Background draft saves to the server; sessionStorage stays the per-keystroke copy
+    autosave = this.createAutosave();
+    @track autosaveStatus = AUTOSAVE_STATUS.IDLE;
+    @track autosaveSavedAt = null;
+    @track autosaveError = null;
+    
+    // Live call transcript [{ id, speaker, text, timestamp }]; voice-filled fields keep the ID of the utterance behind them
+    @track transcript = [];
+    @track highlightedUtteranceId = null;
+    
+    // Call the form was opened for; when it ends the form is saved for wrap-up and closed with the AI processor
+    callRecordId = null;
+    isCallEnded = false;
+    
+    // Bookmark type -> action mappings from the form builder; handled bookmark IDs, reviewed section names and
+    // bookmark notes ([{ id, label, text, timestamp }]) are kept with the draft so a reopened form does not repeat them
+    bookmarkActions = [];
+    handledBookmarkIds = new Set();
+    @track reviewedSections = new Set();
+    @track bookmarkNotes = [];
+    
+    // Next question panel: builder templates by field, field details from the saved analysis, AI-detected
+    // questions ([{ id, text, fieldName }]) and what the agent skipped or dismissed
+    questionTemplates = {};
+    fieldDetails = {};
+    @track detectedQuestions = [];
+    @track skippedQuestionFields = new Set();
+    dismissedQuestionIds = new Set();
+    
+    // Agent edits waiting to be reported to the AI processor (field -> value), sent when the field loses focus so
+    // typing is not reported per keystroke; the sequence orders messages per form instance and survives reloads
+    pendingAgentEdits = {};
+    agentEditSequence = 0;
 
     connectedCallback() {
         loadStyle(this, noHeader);
@@ -67,9 +225,27 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         if (!this._boundClick) {
             this._boundClick = this.handleTemplateClick.bind(this);
         }
+        if (!this._boundKeyDown) {
+            this._boundKeyDown = this.handleHistoryKeyDown.bind(this);
+        }
+        if (!this._boundFocusOut) {
+            this._boundFocusOut = this.handleFieldBlur.bind(this);
+        }
+
+        if (!this._boundPageHide) {
+            this._boundPageHide = this.handlePageHide.bind(this);
+        }
+        if (!this._boundOnline) {
+            this._boundOnline = this.handleOnline.bind(this);
+        }
 
         this.template.addEventListener('focusin', this._boundFocusIn);
+        this.template.addEventListener('focusout', this._boundFocusOut);
         this.template.addEventListener('click', this._boundClick);
+        this.template.addEventListener('keydown', this._boundKeyDown);
+        document.addEventListener('visibilitychange', this._boundPageHide);
+        window.addEventListener('beforeunload', this._boundPageHide);
+        window.addEventListener('online', this._boundOnline);
 
         this.subscribeRPISTOLWCMC();
     }
@@ -82,10 +258,33 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         this.RPISTOLWCSubscription = subscribe(this.context, RPISTOLWC, (message) => {
             if ( message?.type === 'inProgressFormData') {
                 this.handleFormDataMessage(message);
+            } else if (message?.type === 'transcriptSegment') {
+                this.mergeTranscript([message.segment]);
+            } else if (message?.type === 'callStatus') {
+                this.handleCallStatus(message);
+            } else if (message?.type === 'bookmark') {
+                this.handleBookmark(message);
+            } else if (message?.type === 'detectedQuestions') {
+                this.mergeDetectedQuestions(message);
+            } else if (message?.type === 'formPresenceRequest') {
+                this.announcePresence();
             }
         });
     }
 
+    // A form still loading its draft does not know its external ID yet, so the client holds
+    // unclaimed voice data until it reports in
+    announcePresence(isOpen = true) {
+        publish(this.context, RPISTOLWC, {
+            type: 'formPresence',
+            title: 'dynamicCreatorWithDropdown',
+            instanceId: this.instanceId,
+            externalFormId: this.isRestoringDraft ? null : this.externalFormId,
+            isLoading: this.isRestoringDraft,
+            isOpen: isOpen
+        });
+    }
+
     async handleFormDataMessage(message) {
         try {
             if (!message || !message.callFormData) {
@@ -100,672 +299,2736 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
 
             const formDataObj = JSON.parse(dataObj.formData);
 
-            // Ensure message is targeting this specific form instance
-            if (dataObj.activeFormId) {
-                if (dataObj.activeFormId !== this.externalFormId) {
-                    return;
+            if (!formDataObj.fieldsDetails) {
+                return;
+            }
+
+            // The target form ID may not be known yet (draft still loading), so buffer before filtering;
+            // once anything is buffered, later messages queue behind it to keep their order
+            if (!this.isReadyForFieldValues || this.hasBufferedFieldValues()) {
+                this.bufferFieldValues(dataObj.activeFormId, dataObj.formData);
+                if (this.isReadyForFieldValues) {
+                    Promise.resolve().then(() => this.flushBufferedFieldValues());
                 }
+                return;
             }
 
-            if (!formDataObj.fieldsDetails) {
+            // Data for another form is applied by its own instance or stored on its draft by the realtime client
+            if (dataObj.activeFormId && dataObj.activeFormId !== this.externalFormId) {
                 return;
             }
 
-            const fieldsDetails = formDataObj.fieldsDetails;
             await Promise.resolve();
-            this.populateFormFields(fieldsDetails);
+            this.applyFormData(formDataObj);
 
         } catch (error) {
             console.error('Error processing form data message:', error);
         }
     }
 
-    populateFormFields(fieldsDetails) {
-        try {
-            const inputFields = this.template.querySelectorAll('lightning-input-field');
-            
-            inputFields.forEach(field => {
-                const fieldName = field.fieldName;
-                
-                if (Object.prototype.hasOwnProperty.call(fieldsDetails, fieldName)) {
-                    let fieldValue = fieldsDetails[fieldName];
-                    fieldValue = this.processFieldValue(fieldValue, field);
-                    field.value = fieldValue;
-                    
-                    if (fieldValue != null && fieldValue !== undefined && fieldValue !== '') {
-                        this.filledFields.add(fieldName);
-                    }
-                }
-            });
+    applyFormData(formDataObj) {
+        const { values, confidence, utteranceIds } = this.splitFieldConfidence(formDataObj);
+        const { applied, pending } = this.partitionByConfidence(values, confidence);
+        const evidence = this.linkUtterances(values, utteranceIds);
+        this.queuePendingSuggestions(pending, confidence, evidence);
+        this.populateFormFields(applied, FIELD_SOURCES.VOICE, { utteranceIds: evidence });
+    }
+
+    bufferFieldValues(activeFormId, payload) {
+        const formKey = activeFormId || ANY_FORM_KEY;
+        this.bufferSequence += 1;
+        this.bufferedFieldValues = {
+            ...this.bufferedFieldValues,
+            [formKey]: [
+                ...(this.bufferedFieldValues[formKey] || []),
+                { sequence: this.bufferSequence, payload }
+            ]
+        };
+    }
+
+    // Batches stored on the draft while the form was closed are older than anything received during load
+    queueStoredFieldValues(incomingData) {
+        const batches = (incomingData || []).filter(batch => batch && batch.payload);
+        const stored = batches.map((batch, index) => ({
+            sequence: index - batches.length,
+            payload: batch.payload
+        }));
+        
+        if (stored.length > 0) {
+            this.bufferedFieldValues = {
+                ...this.bufferedFieldValues,
+                [this.externalFormId]: [...stored, ...(this.bufferedFieldValues[this.externalFormId] || [])]
+            };
+        }
+        this.appliedIncomingDataIds = batches.map(batch => batch.id);
+    }
+
+    hasBufferedFieldValues() {
+        return Object.values(this.bufferedFieldValues).some(batches => batches.length > 0);
+    }
+
+    // Voice data can land once the record's fields are restored and the Child Records rows can convert values
+    get isReadyForFieldValues() {
+        return this.fieldsReady && this.childRowsReady;
+    }
+
+    get childRowsReady() {
+        return (this.childObjectApiNames || []).every(apiName => apiName in this.childObjectInfos);
+    }
+
+    // Called once fields are loaded and any draft/session values restored, so voice data lands on top of them
+    markFieldsReady() {
+        if (this.isRestoringDraft) {
+            return;
+        }
+        this.fieldsReady = true;
+        this.flushBufferedFieldValues();
+    }
+
+    // Apply buffered batches for this form in arrival order; batches for other forms are dropped
+    flushBufferedFieldValues() {
+        if (!this.isReadyForFieldValues || !this.hasBufferedFieldValues()) {
+            return;
+        }
+
+        const buffered = this.bufferedFieldValues;
+        this.bufferedFieldValues = {};
+
+        const batches = [
+            ...(buffered[this.externalFormId] || []),
+            ...(buffered[ANY_FORM_KEY] || [])
+        ].sort((a, b) => a.sequence - b.sequence);
+
+        batches.forEach(batch => {
+            try {
+                this.applyFormData(JSON.parse(batch.payload));
+            } catch (error) {
+                console.error('Error applying buffered form data:', error);
+            }
+        });
+    }
+
+    // Values may arrive as plain values or as { value, confidence, utteranceId }; separate confidenceScores and
+    // utteranceIds maps are also accepted
+    splitFieldConfidence(formDataObj) {
+        const values = {};
+        const rawScores = {};
+        const utteranceIds = {};
+        const scores = formDataObj.confidenceScores || {};
+        const evidence = formDataObj.utteranceIds || {};
+        
+        Object.keys(formDataObj.fieldsDetails).forEach(fieldName => {
+            const entry = formDataObj.fieldsDetails[fieldName];
+            const isScored = entry !== null && typeof entry === 'object' && !Array.isArray(entry) &&
+                Object.prototype.hasOwnProperty.call(entry, 'value');
             
-            this.filledFields = new Set(this.filledFields);
-            this.updateStepProgress();
+            values[fieldName] = isScored ? entry.value : entry;
             
-            this.sectionSteps.forEach(section => {
-                this.updateSectionProgress(section.fieldComponents?.[0]?.apiName);
-            });
+            const score = this.parseConfidence(isScored ? entry.confidence : scores[fieldName]);
+            if (score != null) {
+                rawScores[fieldName] = score;
+            }
             
-            Promise.resolve().then(() => {
-            this.updateIndividualFieldStyling();
+            const utteranceId = isScored ? entry.utteranceId : evidence[fieldName];
+            if (utteranceId) {
+                utteranceIds[fieldName] = String(utteranceId);
+            }
         });
-            
-            this.saveFormData();
-            
-        } catch (error) {
-            console.error('Error populating form fields:', error);
+        
+        const multiplier = this.getConfidenceMultiplier(formDataObj.confidenceScale, Object.values(rawScores));
+        const confidence = {};
+        Object.keys(rawScores).forEach(fieldName => {
+            confidence[fieldName] = rawScores[fieldName] * multiplier;
+        });
+        
+        return { values, confidence, utteranceIds };
+    }
+    
+    parseConfidence(score) {
+        if (score === null || score === undefined || score === '') {
+            return null;
         }
+        const numeric = Number(score);
+        return isNaN(numeric) ? null : numeric;
     }
     
-    // Process and convert field values from external sources to proper Salesforce data types
-    processFieldValue(value, field) {
-        if (value == null || value === undefined) {
-            return value;
+    // The scale is decided once per batch so a score of 1 on a 0-100 payload stays 1%: an explicit
+    // confidenceScale (1 or 100) wins, otherwise the batch is 0-1 only when every score is at most 1
+    getConfidenceMultiplier(scale, scores) {
+        const explicitScale = this.parseConfidence(scale);
+        if (explicitScale === 1) {
+            return 100;
         }
-        
-        let processedValue = value;
-        
-        if (typeof processedValue !== 'string') {
-            processedValue = String(processedValue);
+        if (explicitScale === 100) {
+            return 1;
         }
+        return scores.length > 0 && scores.every(score => score <= 1) ? 100 : 1;
+    }
+    
+    // Unscored values and forms without a threshold are applied directly
+    partitionByConfidence(values, confidence) {
+        const applied = {};
+        const pending = {};
+        const threshold = this.confidenceThreshold;
         
-        // Handle escaped Unicode quotes from JSON
-        processedValue = processedValue.replace(/\\u0022/g, '"');
+        Object.keys(values).forEach(fieldName => {
+            const score = confidence[fieldName];
+            if (threshold != null && score != null && score < threshold) {
+                pending[fieldName] = values[fieldName];
+            } else {
+                applied[fieldName] = values[fieldName];
+            }
+        });
         
-        if (processedValue.startsWith('"') && processedValue.endsWith('"')) {
-            processedValue = processedValue.slice(1, -1);
+        return { applied, pending };
+    }
+    
+    queuePendingSuggestions(pending, confidence, utteranceIds) {
+        const pendingFieldNames = Object.keys(pending);
+        if (pendingFieldNames.length === 0) {
+            return;
         }
         
-        const fieldType = field.type || this.getFieldTypeFromElement(field);
-        const fieldName = field.fieldName;
+        const queued = { ...this.pendingSuggestions };
+        pendingFieldNames.forEach(fieldName => {
+            if (!this.isFormField(fieldName) || !this.fieldHasValue(pending[fieldName])) {
+                return;
+            }
+            queued[fieldName] = {
+                value: pending[fieldName],
+                confidence: confidence[fieldName],
+                utteranceId: utteranceIds[fieldName],
+                timestamp: Date.now()
+            };
+        });
+        this.pendingSuggestions = queued;
+    }
+    
+    isFormField(fieldName) {
+        return this.fieldsArray.some(field => field.apiName === fieldName);
+    }
+    
+    // A form opened before its call connected belongs to that call
+    handleCallStatus(message) {
+        if (!this.selectedForm || !message.callRecordId) {
+            return;
+        }
+        if (message.status === 'connected' && !this.callRecordId) {
+            this.callRecordId = message.callRecordId;
+        } else if (message.status === 'ended' && message.callRecordId === this.callRecordId) {
+            this.wrapUpEndedCall();
+        }
+    }
+    
+    // The agent may keep editing afterwards; later saves keep the wrap-up status until the record is created
+    async wrapUpEndedCall() {
+        if (this.isCallEnded) {
+            return;
+        }
+        this.isCallEnded = true;
         
-        // Lookup fields require string IDs
-        if (fieldType === 'lookup' || fieldName.endsWith('Id') || fieldName.endsWith('__c')) {
-            return processedValue.trim();
+        try {
+            await this.autosave.stop();
+            const draftId = await saveWrapUpDraft({
+                formDataJson: JSON.stringify(this.buildDraftFormData(this.generateDraftExternalFormId()))
+            });
+            if (draftId) {
+                this.draftRecordId = draftId;
+                this.isEditingDraft = true;
+                this.showToast('Call ended', `${this.selectedFormName || 'This form'} was saved as a draft for wrap-up.`, 'info');
+            }
+        } catch (error) {
+            console.error('Error saving wrap-up draft:', error);
+            this.showToast('Error', 'The call ended but the draft could not be saved: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.autosave = this.createAutosave();
         }
         
-        // Convert numeric values to proper types
-        if (fieldType === 'number' || fieldType === 'currency' || fieldType === 'percent') {
-            const numberValue = parseFloat(processedValue);
-            return isNaN(numberValue) ? processedValue : numberValue;
-        } else if (fieldType === 'integer') {
-            const intValue = parseInt(processedValue, 10);
-            return isNaN(intValue) ? processedValue : intValue;
-        } else if (fieldType === 'checkbox' || fieldType === 'boolean') {
-            return processedValue === 'true' || processedValue === true;
+        try {
+            await closeActiveForm({
+                requestString: JSON.stringify({
+                    callRecordId: this.callRecordId,
+                    id: this.externalFormId
+                })
+            });
+        } catch (error) {
+            console.error('Error closing the form with the AI processor:', error);
+        }
+    }
+    
+    // A repeated question ID replaces the earlier wording; only the most recent questions are kept
+    mergeDetectedQuestions(message) {
+        if (!this.selectedObject) {
+            return;
+        }
+        if (message.activeFormId && message.activeFormId !== this.externalFormId) {
+            return;
+        }
+        if (message.callRecordId && this.callRecordId && message.callRecordId !== this.callRecordId) {
+            return;
         }
         
-        return processedValue;
+        const incoming = (message.questions || []).filter(question => question && question.id && question.text &&
+            !this.dismissedQuestionIds.has(question.id) && (!question.fieldName || this.isFormField(question.fieldName)));
+        if (incoming.length === 0) {
+            return;
+        }
+        const incomingIds = new Set(incoming.map(question => question.id));
+        this.detectedQuestions = [
+            ...this.detectedQuestions.filter(question => !incomingIds.has(question.id)),
+            ...incoming
+        ].slice(-DETECTED_QUESTION_LIMIT);
+    }
+    
+    isQuestionRequired(fieldName) {
+        return this.isFieldRequired(fieldName) || !!this.fieldDetails[fieldName]?.isRequired;
     }
     
-    // Infer field type from field name patterns when type metadata is unavailable
-    getFieldTypeFromElement(field) {
-        if (field.type) {
-            return field.type;
+    // First empty required field, or field with its own question, starting at the active section and wrapping
+    // round to earlier ones; fields the agent skipped are offered again only when nothing else is left
+    findNextQuestionField() {
+        let fieldNames;
+        if (this.sectionSteps.length > 0) {
+            const activeIndex = Math.max(0, this.sectionSteps.findIndex(section => section.isActive));
+            fieldNames = [...this.sectionSteps.slice(activeIndex), ...this.sectionSteps.slice(0, activeIndex)]
+                .filter(section => !section.isChildSection && !this.hiddenSections.has(section.sectionName))
+                .flatMap(section => section.fields || []);
+        } else {
+            fieldNames = this.fieldsArray.map(field => field.apiName);
         }
         
-        const fieldName = field.fieldName;
+        const candidates = fieldNames.filter(fieldName => this.isFieldVisible(fieldName) && !this.filledFields.has(fieldName) &&
+            (this.isQuestionRequired(fieldName) || !!this.questionTemplates[fieldName]));
+        return candidates.find(fieldName => !this.skippedQuestionFields.has(fieldName)) || candidates[0] || null;
+    }
+    
+    // The next best question first (in the AI's wording when it asked about the same field), then other AI questions
+    get nextQuestionList() {
+        const nextFieldName = this.findNextQuestionField();
+        const openDetected = this.detectedQuestions.filter(question =>
+            !question.fieldName || (!this.filledFields.has(question.fieldName) && this.isFieldVisible(question.fieldName)));
+        const questions = [];
         
-        if (!fieldName) {
-            return 'text';
+        if (nextFieldName) {
+            const detected = openDetected.find(question => question.fieldName === nextFieldName);
+            const fieldLabel = this.fieldDetails[nextFieldName]?.fieldLabel || this.getFieldLabel(nextFieldName);
+            let sourceLabel = this.isQuestionRequired(nextFieldName) ? 'Required' : 'Suggested';
+            if (detected) {
+                sourceLabel = 'AI';
+            }
+            questions.push({
+                key: `next-${nextFieldName}`,
+                fieldName: nextFieldName,
+                fieldLabel: fieldLabel,
+                text: detected ? detected.text : getQuestion(this.questionTemplates, {
+                    ...this.fieldDetails[nextFieldName],
+                    fieldName: nextFieldName,
+                    fieldLabel: fieldLabel
+                }),
+                sourceLabel: sourceLabel,
+                isPrimary: true
+            });
         }
         
-        const lowerFieldName = fieldName.toLowerCase();
+        openDetected
+            .filter(question => question.fieldName !== nextFieldName)
+            .reverse()
+            .forEach(question => {
+                questions.push({
+                    key: `ai-${question.id}`,
+                    questionId: question.id,
+                    fieldName: question.fieldName,
+                    fieldLabel: question.fieldName ? this.getFieldLabel(question.fieldName) : '',
+                    text: question.text,
+                    sourceLabel: 'AI',
+                    isPrimary: false
+                });
+            });
         
-        // Detect lookup/reference fields
-        if (fieldName.endsWith('Id') && !fieldName.includes('External')) {
-            return 'lookup';
+        return questions.slice(0, NEXT_QUESTION_LIMIT);
+    }
+    
+    get hasNextQuestions() {
+        return this.nextQuestionList.length > 0;
+    }
+    
+    handleNextQuestionFieldSelect(event) {
+        this.scrollToField(event.detail.fieldName);
+    }
+    
+    handleNextQuestionSkip(event) {
+        this.skippedQuestionFields = new Set([...this.skippedQuestionFields, event.detail.fieldName]);
+    }
+    
+    handleDetectedQuestionDismiss(event) {
+        this.dismissedQuestionIds.add(event.detail.questionId);
+        this.detectedQuestions = this.detectedQuestions.filter(question => question.id !== event.detail.questionId);
+    }
+    
+    handleBookmark(message) {
+        const bookmark = message.bookmark;
+        if (!this.selectedObject || !bookmark?.id || this.handledBookmarkIds.has(bookmark.id)
+            || !this.isBookmarkForThisForm(message)) {
+            return;
         }
-        if (fieldName.endsWith('__c') && (lowerFieldName.includes('account') || lowerFieldName.includes('contact') || lowerFieldName.includes('user'))) {
-            return 'lookup';
+        const mapping = findBookmarkAction(this.bookmarkActions, bookmark.bookmarkType);
+        if (!mapping) {
+            return;
         }
         
-        // Detect numeric field types by name patterns
-        if (lowerFieldName.includes('amount')) {
-            return 'currency';
+        this.handledBookmarkIds.add(bookmark.id);
+        switch (mapping.action) {
+            case BOOKMARK_ACTIONS.JUMP_TO_SECTION:
+                this.jumpToSectionByName(mapping.target);
+                break;
+            case BOOKMARK_ACTIONS.MARK_SECTION_REVIEWED:
+                this.markSectionReviewed(mapping.target);
+                break;
+            case BOOKMARK_ACTIONS.SAVE_DRAFT:
+                this.handleDraftForm();
+                break;
+            case BOOKMARK_ACTIONS.OPEN_FORM:
+                this.openFormFromBookmark(mapping.target);
+                break;
+            case BOOKMARK_ACTIONS.ADD_NOTE:
+                this.addBookmarkNote(bookmark);
+                break;
+            default:
+                break;
         }
-        if (lowerFieldName.includes('percent')) {
-            return 'percent';
+        this.saveFormData();
+    }
+    
+    // A bookmark aimed at a form runs only there; otherwise it runs on the forms of its call, never on forms without one
+    isBookmarkForThisForm(message) {
+        if (message.externalFormId) {
+            return message.externalFormId === this.externalFormId;
         }
-        if (lowerFieldName.includes('number') || lowerFieldName.includes('count')) {
-            return 'number';
+        return !!message.callRecordId && message.callRecordId === this.callRecordId;
+    }
+    
+    findSectionByName(sectionName) {
+        return this.sectionSteps.find(section => section.sectionName === sectionName && !this.hiddenSections.has(sectionName));
+    }
+    
+    jumpToSectionByName(sectionName) {
+        const section = this.findSectionByName(sectionName);
+        if (!section) {
+            return;
         }
-        
-        return 'text';
+        this.focusOnSection(section.sectionId);
+        this.setActiveSection(section.sectionId);
+        this.highlightNavigationSection(section.sectionId);
     }
     
-    updateSingleFieldStyling(lightningField) {
-        try {
-            const container = lightningField.closest('.slds-col');
-            if (container) {
-                const fieldValue = lightningField.value;
-                const hasValue = this.fieldHasValue(fieldValue);
-                
-                if (hasValue) {
-                    container.classList.add('field-with-value');
-                } else {
-                    container.classList.remove('field-with-value');
-                }
-            }
-        } catch (error) {
-            console.error('Error updating single field styling:', error);
+    markSectionReviewed(sectionName) {
+        if (!this.findSectionByName(sectionName)) {
+            return;
         }
+        this.reviewedSections = new Set([...this.reviewedSections, sectionName]);
+        this.showToast('Section reviewed', `${sectionName} was marked reviewed from a call bookmark.`, 'info');
     }
     
-    updateIndividualFieldStyling() {
-        if (this.isUpdatingStyling) {
+    addBookmarkNote(bookmark) {
+        if (this.bookmarkNotes.some(note => note.id === bookmark.id)) {
             return;
         }
-        
-        this.isUpdatingStyling = true;
-        
-        Promise.resolve().then(() => {
-            this.doUpdateIndividualFieldStyling();
-            this.isUpdatingStyling = false;
-        });
+        this.bookmarkNotes = [...this.bookmarkNotes, {
+            id: bookmark.id,
+            label: bookmark.label || bookmark.bookmarkType,
+            text: bookmark.note || '',
+            timestamp: bookmark.timestamp || Date.now()
+        }];
     }
     
-    doUpdateIndividualFieldStyling() {
+    // Opens another form for the same call in place of this one; this form stays as a draft to come back to
+    async openFormFromBookmark(formId) {
         try {
-            this.processedFields = new Set();
-            const allLightningFields = this.template.querySelectorAll('lightning-input-field');
+            const forms = await getForms();
+            const form = (forms || []).find(item => item.id === formId);
+            if (!form) {
+                this.showToast('Form unavailable', 'The form linked to this bookmark is no longer active.', 'warning');
+                return;
+            }
             
-            allLightningFields.forEach(lightningField => {
-                const container = lightningField.closest('.slds-col');
-                if (container) {
-                    this.processSingleFieldStyling(container, lightningField);
-                }
+            await this.flushAutosave();
+            const externalFormId = this.generateUniqueFormId();
+            await updateActiveForm({
+                requestString: JSON.stringify({
+                    callRecordId: this.callRecordId,
+                    formStructureJson: form.fieldAnalysisDetails || '{}',
+                    id: externalFormId
+                })
             });
             
-            this.processedFields.clear();
+            const navigationState = {
+                c__formId: form.id,
+                c__externalFormId: externalFormId,
+                c__mode: 'new'
+            };
+            if (this.callRecordId) {
+                navigationState.c__callRecordId = this.callRecordId;
+            }
+            if (this.sourceRecordId) {
+                navigationState.c__recordId = this.sourceRecordId;
+            }
+            
+            this[NavigationMixin.Navigate]({
+                type: 'standard__navItemPage',
+                attributes: {
+                    apiName: 'RocketForm'
+                },
+                state: navigationState
+            });
         } catch (error) {
-            console.error('Error updating individual field styling:', error);
+            console.error('Error opening form from bookmark:', error);
+            this.showToast('Error', 'Could not open the bookmarked form: ' + this.getErrorMessage(error), 'error');
         }
     }
     
-    processSingleFieldStyling(container, lightningField) {
-        const fieldName = lightningField.fieldName;
-        
-        if (this.processedFields.has(fieldName)) {
+    get hasBookmarkNotes() {
+        return this.bookmarkNotes.length > 0;
+    }
+    
+    get bookmarkNoteList() {
+        return this.bookmarkNotes.map(note => ({
+            ...note,
+            timeLabel: new Date(note.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        }));
+    }
+    
+    restoreBookmarkState(savedData) {
+        this.handledBookmarkIds = new Set(savedData.handledBookmarkIds || []);
+        this.reviewedSections = new Set(savedData.reviewedSections || []);
+        this.bookmarkNotes = Array.isArray(savedData.bookmarkNotes) ? savedData.bookmarkNotes : [];
+    }
+    
+    // Interim results share the ID of the utterance they refine, so a repeated ID replaces the earlier text
+    mergeTranscript(segments) {
+        const incoming = (segments || []).filter(segment => segment && segment.id && segment.text);
+        if (incoming.length === 0) {
             return;
         }
-        this.processedFields.add(fieldName);
-        
-        const hasValue = this.filledFields.has(fieldName);
         
-        if (hasValue) {
-            container.classList.add('field-with-value');
-            container.setAttribute('data-has-value', 'true');
-        } else {
-            container.classList.remove('field-with-value');
-            container.setAttribute('data-has-value', 'false');
-        }
+        const merged = [...this.transcript];
+        incoming.forEach(segment => {
+            const utterance = {
+                id: String(segment.id),
+                speaker: segment.speaker || '',
+                text: segment.text,
+                timestamp: segment.timestamp || Date.now()
+            };
+            const index = merged.findIndex(existing => existing.id === utterance.id);
+            if (index >= 0) {
+                merged[index] = utterance;
+            } else {
+                merged.push(utterance);
+            }
+        });
+        this.transcript = merged.sort((first, second) => new Date(first.timestamp) - new Date(second.timestamp));
     }
     
-    updateFieldStyling() {
-        try {
-            const fieldContainers = this.template.querySelectorAll('.slds-col');
-            
-            fieldContainers.forEach(container => {
-                const lightningField = container.querySelector('lightning-input-field');
-                if (lightningField) {
-                    const fieldValue = lightningField.value;
-                    const hasValue = this.fieldHasValue(fieldValue);
-                    
-                    if (hasValue) {
-                        container.classList.add('field-with-value');
-                    } else {
-                        container.classList.remove('field-with-value');
+    findUtterance(utteranceId) {
+        return this.transcript.find(utterance => utterance.id === utteranceId);
+    }
+    
+    // Values without a named utterance are linked to the latest recent utterance containing their wording;
+    // values that were normalised beyond recognition (picklists, dates) stay unlinked rather than guessed
+    linkUtterances(values, utteranceIds) {
+        const linked = {};
+        const recent = this.transcript.slice(-TRANSCRIPT_MATCH_WINDOW).reverse();
+        Object.keys(values).forEach(fieldName => {
+            if (utteranceIds[fieldName]) {
+                linked[fieldName] = utteranceIds[fieldName];
+                return;
+            }
+            const value = values[fieldName];
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return;
+            }
+            const wording = String(value).trim().toLowerCase();
+            if (wording.length < 2) {
+                return;
+            }
+            const match = recent.find(utterance => utterance.text.toLowerCase().includes(wording));
+            if (match) {
+                linked[fieldName] = match.id;
+            }
+        });
+        return linked;
+    }
+    
+    // Only the utterances behind current field values are kept with the draft, as evidence for them
+    getTranscriptSnippets() {
+        const utteranceIds = new Set(Object.values(this.fieldSources)
+            .map(entry => entry?.utteranceId)
+            .filter(utteranceId => utteranceId));
+        return this.transcript.filter(utterance => utteranceIds.has(utterance.id));
+    }
+    
+    get hasTranscript() {
+        return this.transcript.length > 0;
+    }
+    
+    get transcriptUtterances() {
+        const fieldsByUtterance = {};
+        Object.keys(this.fieldSources).forEach(fieldName => {
+            const utteranceId = this.fieldSources[fieldName]?.utteranceId;
+            if (utteranceId && this.isFormField(fieldName)) {
+                fieldsByUtterance[utteranceId] = [
+                    ...(fieldsByUtterance[utteranceId] || []),
+                    { fieldName: fieldName, fieldLabel: this.getFieldLabel(fieldName) }
+                ];
+            }
+        });
+        
+        return this.transcript.map(utterance => {
+            const linkedFields = fieldsByUtterance[utterance.id] || [];
+            let cssClass = 'transcript-utterance slds-var-m-bottom_xx-small';
+            if (linkedFields.length > 0) {
+                cssClass += ' transcript-utterance_linked';
+            }
+            if (utterance.id === this.highlightedUtteranceId) {
+                cssClass += ' transcript-utterance_highlighted';
+            }
+            return {
+                id: utterance.id,
+                speakerLabel: utterance.speaker || 'Speaker',
+                text: utterance.text,
+                timeLabel: new Date(utterance.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }),
+                cssClass: cssClass,
+                linkedFields: linkedFields,
+                hasLinkedFields: linkedFields.length > 0
+            };
+        });
+    }
+    
+    handleSourceBadgeClick(event) {
+        const utteranceId = this.fieldSources[event.currentTarget.dataset.fieldName]?.utteranceId;
+        if (utteranceId && this.findUtterance(utteranceId)) {
+            this.highlightedUtteranceId = utteranceId;
+        }
+    }
+    
+    handleUtteranceSelect(event) {
+        const utteranceId = event.detail.utteranceId;
+        this.highlightedUtteranceId = utteranceId;
+        const fieldName = Object.keys(this.fieldSources)
+            .find(name => this.fieldSources[name]?.utteranceId === utteranceId && this.isFormField(name));
+        if (fieldName) {
+            this.scrollToField(fieldName);
+        }
+    }
+    
+    handleTranscriptFieldSelect(event) {
+        this.scrollToField(event.detail.fieldName);
+    }
+    
+    getFieldLabel(fieldName) {
+        return this.objectInfo?.fields?.[fieldName]?.label || fieldName;
+    }
+    
+    get pendingSuggestionList() {
+        return Object.keys(this.pendingSuggestions).map(fieldName => {
+            const suggestion = this.pendingSuggestions[fieldName];
+            return {
+                fieldName: fieldName,
+                fieldLabel: this.getFieldLabel(fieldName),
+                displayValue: this.formatSuggestionValue(suggestion.value),
+                confidenceLabel: `${Math.round(suggestion.confidence)}%`
+            };
+        });
+    }
+    
+    handlePendingAccept(event) {
+        this.acceptPendingSuggestions([event.detail.fieldName]);
+    }
+    
+    handlePendingReject(event) {
+        this.rejectPendingSuggestions([event.detail.fieldName]);
+    }
+    
+    handlePendingAcceptAll() {
+        this.acceptPendingSuggestions(Object.keys(this.pendingSuggestions));
+    }
+    
+    handlePendingRejectAll() {
+        this.rejectPendingSuggestions(Object.keys(this.pendingSuggestions));
+    }
+    
+    // Agent-approved values bypass the conflict policy since the agent chose them explicitly
+    acceptPendingSuggestions(fieldNames) {
+        const accepted = {};
+        const utteranceIds = {};
+        fieldNames.forEach(fieldName => {
+            if (this.pendingSuggestions[fieldName]) {
+                accepted[fieldName] = this.pendingSuggestions[fieldName].value;
+                utteranceIds[fieldName] = this.pendingSuggestions[fieldName].utteranceId;
+            }
+        });
+        
+        this.rejectPendingSuggestions(fieldNames);
+        this.populateFormFields(accepted, FIELD_SOURCES.VOICE, { skipConflictCheck: true, utteranceIds });
+    }
+    
+    rejectPendingSuggestions(fieldNames) {
+        const remaining = { ...this.pendingSuggestions };
+        fieldNames.forEach(fieldName => {
+            delete remaining[fieldName];
+        });
+        this.pendingSuggestions = remaining;
+    }
+    
+    populateFormFields(fieldsDetails, source, options = {}) {
+        try {
+            const inputFields = this.template.querySelectorAll(FORM_FIELD_SELECTOR);
+            const lookupNames = {};
+            const changes = [];
+            
+            this.applyChildRecordValues(fieldsDetails);
+            
+            inputFields.forEach(field => {
+                const fieldName = field.fieldName;
+                
+                if (Object.prototype.hasOwnProperty.call(fieldsDetails, fieldName)) {
+                    const rawValue = fieldsDetails[fieldName];
+                    if (this.isLookupName(fieldName, rawValue)) {
+                        if (this.shouldSearchLookup(fieldName, source, options)) {
+                            lookupNames[fieldName] = rawValue;
+                        }
+                        return;
+                    }
+                    const { value: fieldValue, error } = this.processFieldValue(rawValue, field, fieldsDetails);
+                    
+                    if (error) {
+                        this.setConversionIssue(fieldName, rawValue, error);
+                        return;
+                    }
+                    delete this.conversionIssues[fieldName];
+                    
+                    if (source === FIELD_SOURCES.VOICE) {
+                        // A confident value supersedes any queued low-confidence one
+                        delete this.pendingSuggestions[fieldName];
+                        if (!options.skipConflictCheck && !this.shouldApplyAIValue(field, fieldValue)) {
+                            return;
+                        }
+                    }
+                    changes.push(this.buildFieldChange(fieldName, field.value, fieldValue));
+                    field.value = fieldValue;
+                    
+                    if (fieldValue != null && fieldValue !== undefined && fieldValue !== '') {
+                        this.filledFields.add(fieldName);
+                        this.setFieldSource(fieldName, source, options.utteranceIds?.[fieldName]);
                     }
                 }
             });
+            
+            this.recordHistory(source, changes);
+            
+            this.filledFields = new Set(this.filledFields);
+            this.fieldSources = { ...this.fieldSources };
+            this.aiSuggestions = { ...this.aiSuggestions };
+            this.pendingSuggestions = { ...this.pendingSuggestions };
+            this.conversionIssues = { ...this.conversionIssues };
+            this.updateStepProgress();
+            
+            this.sectionSteps.forEach(section => {
+                this.updateSectionProgress(section.fieldComponents?.[0]?.apiName);
+            });
+            
+            Promise.resolve().then(() => {
+            this.updateIndividualFieldStyling();
+        });
+            
+            this.saveFormData();
+            
+            if (Object.keys(lookupNames).length > 0) {
+                this.resolveLookupNames(lookupNames, source, options);
+            }
+            
         } catch (error) {
-            console.error('Error updating field styling:', error);
+            console.error('Error populating form fields:', error);
         }
     }
     
-    // Check if field has a meaningful value (handles all data types including boolean false)
-    fieldHasValue(value) {
-        if (value === null || value === undefined) {
-            return false;
-        }
+    // Apply the form's conflict policy when AI sends a value for a field the agent edited by hand
+    shouldApplyAIValue(field, aiValue) {
+        const fieldName = field.fieldName;
+        const isManual = this.fieldSources[fieldName]?.source === FIELD_SOURCES.MANUAL;
         
-        if (typeof value === 'boolean') {
-            return true; // Both true and false are valid values
+        if (!isManual || this.conflictPolicy === CONFLICT_POLICIES.ACCEPT_AI) {
+            delete this.aiSuggestions[fieldName];
+            return true;
         }
         
-        if (typeof value === 'number') {
-            return true; // Including 0
+        if (this.valuesMatch(field.value, aiValue)) {
+            delete this.aiSuggestions[fieldName];
+            return false;
         }
         
-        if (typeof value === 'string') {
-            return value.trim() !== '';
+        if (this.conflictPolicy === CONFLICT_POLICIES.SUGGEST && this.fieldHasValue(aiValue) &&
+            !this.valuesMatch(this.dismissedSuggestions[fieldName], aiValue)) {
+            this.aiSuggestions[fieldName] = { value: aiValue, timestamp: Date.now() };
         }
-        
-        if (Array.isArray(value)) {
-            return value.length > 0;
+        return false;
+    }
+    
+    valuesMatch(first, second) {
+        if (first == null || second == null) {
+            return first == null && second == null;
         }
-        
-        if (typeof value === 'object') {
-            return true;
+        return String(first).trim().toLowerCase() === String(second).trim().toLowerCase();
+    }
+    
+    // Capture a field change before the new source is written; newSource is filled in by recordHistory
+    buildFieldChange(fieldName, previousValue, newValue) {
+        return {
+            fieldName,
+            previousValue: previousValue ?? null,
+            previousSource: this.fieldSources[fieldName] || null,
+            newValue: newValue ?? null,
+            newSource: null
+        };
+    }
+    
+    recordHistory(type, changes, coalesceKey) {
+        if (this.isApplyingHistory || changes.length === 0) {
+            return;
         }
         
-        return value !== '';
+        changes.forEach(change => {
+            change.newSource = this.fieldSources[change.fieldName] || null;
+            this.lastKnownValues[change.fieldName] = change.newValue;
+        });
+        this.history.record({ type, changes, coalesceKey });
+        this.refreshHistoryState();
     }
-
-    disconnectedCallback() {
-        this._saveDataTimeout = false;
-        this.saveFormData();
+    
+    // A loaded draft is one undoable step from an empty form
+    recordRestoredValues(fieldValues, source) {
+        const changes = Object.keys(fieldValues || {})
+            .filter(fieldName => this.fieldHasValue(fieldValues[fieldName]))
+            .map(fieldName => this.buildFieldChange(fieldName, null, fieldValues[fieldName]));
         
-        if (this._boundFocusIn) {
-            this.template.removeEventListener('focusin', this._boundFocusIn);
+        changes.forEach(change => {
+            change.previousSource = null;
+        });
+        this.recordHistory(source, changes);
+    }
+    
+    refreshHistoryState() {
+        this.canUndo = this.history.canUndo;
+        this.canRedo = this.history.canRedo;
+        this.canRevertAiBatch = !!this.history.lastEntryOfType(FIELD_SOURCES.VOICE);
+        this.revertableFields = this.history.fieldNamesWithHistory();
+    }
+    
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes
+    handleHistoryKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
         }
-        if (this._boundClick) {
-            this.template.removeEventListener('click', this._boundClick);
+        
+        const key = event.key ? event.key.toLowerCase() : '';
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.handleUndo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.handleRedo();
         }
     }
-
-    // Parse URL parameters to determine form mode (new/edit/update/draft) and auto-populate data
-    @wire(CurrentPageReference)
-    setCurrentPageReference(pageRef) {
-        try {
-            const state = pageRef?.state || {};
-            const formId = state.c__formId || state.formId || '';
-            const recordId = state.c__recordId || state.recordId || '';
-            const externalFormId = state.c__externalFormId || '';
-            const mode = state.c__mode || 'new';
-            const draftRecordId = state.c__draftRecordId || '';
-            const createdRecordId = state.c__createdRecordId || '';
-            const recordIdToCheck = state.c__recordId || state.recordId || '';
-            const contactId = recordIdToCheck.startsWith('003') ? recordIdToCheck : null; // Contact IDs start with 003
-            
-            
-            // Priority 1: Load existing draft for editing
-            if (draftRecordId) {
-                this.draftRecordId = draftRecordId;
-                this.isEditingDraft = true;
-                this.isUpdateMode = (mode === 'update' && createdRecordId); // Update mode modifies existing records
-                this.recordIdToUpdate = createdRecordId || null;
-                this.formPreselected = true;
-                this.resetFormState();
-                this.loadFormFromDraft();
-            } else if (formId) {
-                // Priority 2: Load form configuration and auto-populate if Contact ID provided
-                if (formId !== this.selectedForm || externalFormId !== this.externalFormId || contactId !== this.contactId) {
-                    this.formPreselected = true;
-                    this.selectedForm = formId;
-                    this.sourceRecordId = recordId;
-                    this.contactId = contactId;
-                    this.externalFormId = externalFormId || 'default';
-                    this.isEditMode = (mode === 'edit');
-                    this.isEditingDraft = false;
-                    this.isUpdateMode = false;
-                    this.draftRecordId = null;
-                    this.recordIdToUpdate = null;
-                    this.resetFormState();
-                    this.loadObjectFieldsData();
-                }
-            } else {
-                // Priority 3: Allow manual form selection
-                this.formPreselected = false;
-                this.isEditingDraft = false;
-                this.isUpdateMode = false;
-                this.draftRecordId = null;
-                this.recordIdToUpdate = null;
-            }
-        } catch (e) {
-            console.error('Error reading URL params', e);
+    
+    handleUndo() {
+        const entry = this.history.undo();
+        if (entry) {
+            this.applyHistoryValues([...entry.changes].reverse().map(change => ({
+                fieldName: change.fieldName,
+                value: change.previousValue,
+                source: change.previousSource
+            })));
         }
+        this.refreshHistoryState();
     }
-
-    @wire(getObjectInfo, { objectApiName: '$selectedObject' })
-    wiredInfo({ data, error }) {
-        if (data && !this.recordTypeId) {
-            this.recordTypeId = data.defaultRecordTypeId;
-        } else if (error) {
-            console.error('Error loading object metadata', error);
+    
+    handleRedo() {
+        const entry = this.history.redo();
+        if (entry) {
+            this.applyHistoryValues(entry.changes.map(change => ({
+                fieldName: change.fieldName,
+                value: change.newValue,
+                source: change.newSource
+            })));
         }
+        this.refreshHistoryState();
     }
-
-    resetFormState() {
-        this.filledFields.clear();
-        this.completedSteps.clear();
-        this.fieldsArray = [];
-        this.objectFieldsData = null;
-        this.sectionSteps = [];
-        this.selectedObject = null;
-        this.selectedFormName = null;
-        this.recordTypeId = null;
-        this.recordTypeName = '';
-        this.isLoadingFields = false;
-        this.showSuccessModal = false;
-        this.createdRecordId = null;
-        this.showCancelModal = false;
-        this.showDeleteModal = false;
+    
+    // Put a field back to the value it had before its most recent change (itself undoable)
+    handleRevertField(event) {
+        const fieldName = event.currentTarget.dataset.fieldName;
+        const lastChange = this.history.lastChangeForField(fieldName);
+        const inputField = this.getInputField(fieldName);
+        if (!lastChange || !inputField) {
+            return;
+        }
+        
+        this.revertChanges([lastChange], null);
     }
-
-    async loadObjectFieldsData() {
-        this.isLoadingFields = true;
+    
+    // Undo the latest AI update as a whole, skipping fields changed again since then
+    handleRevertAiBatch() {
+        const entry = this.history.lastEntryOfType(FIELD_SOURCES.VOICE);
+        if (!entry) {
+            return;
+        }
+        
+        const stillApplied = entry.changes.filter(change => {
+            const inputField = this.getInputField(change.fieldName);
+            return inputField && this.valuesMatch(inputField.value, change.newValue);
+        });
+        this.revertChanges(stillApplied, entry);
+    }
+    
+    revertChanges(changes, revertsEntry) {
+        const reverts = changes.map(change => {
+            const inputField = this.getInputField(change.fieldName);
+            return {
+                fieldName: change.fieldName,
+                previousValue: inputField ? (inputField.value ?? null) : null,
+                previousSource: this.fieldSources[change.fieldName] || null,
+                newValue: change.previousValue,
+                newSource: change.previousSource
+            };
+        });
+        
+        this.applyHistoryValues(reverts.map(change => ({
+            fieldName: change.fieldName,
+            value: change.newValue,
+            source: change.newSource
+        })));
         
+        this.history.record({ type: 'revert', changes: reverts, revertsEntry });
+        
+        // Nothing to put back when every field of the batch was edited since; skip it so the next older batch is offered
+        if (reverts.length === 0 && revertsEntry) {
+            revertsEntry.isReverted = true;
+        }
+        this.refreshHistoryState();
+    }
+    
+    // Write values and sources back without recording them as new history
+    applyHistoryValues(values) {
+        this.isApplyingHistory = true;
         try {
-            const result = await getObjectFieldsData({ analysisId: this.selectedForm });
-            this.objectFieldsData = result;
-            this.selectedObject = result.objectName;
-            this.selectedFormName = result.formName;
-            this.recordTypeId = result.recordTypeId;
-            this.recordTypeName = result.recordTypeName || '';
-            
-            // Build responsive 3-column grid with proper handling of remaining fields
-            this.fieldsArray = result.fields.map((fieldName, index) => {
-                const totalFields = result.fields.length;
-                const remainingFields = totalFields % 3;
-                const isInRemainingGroup = index >= totalFields - remainingFields && remainingFields > 0;
+            values.forEach(({ fieldName, value, source }) => {
+                const inputField = this.getInputField(fieldName);
+                if (!inputField) {
+                    return;
+                }
                 
-                let cssClass;
+                inputField.value = value;
+                this.lastKnownValues[fieldName] = value;
                 
-                if (totalFields === 1) {
-                    cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_x-small full-width-field";
-                } else if (totalFields === 2) {
-                    cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_x-small remaining-field";
-                } else if (isInRemainingGroup) {
-                    if (remainingFields === 1) {
-                        cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_x-small remaining-field full-width-field";
+                if (this.fieldHasValue(value)) {
+                    this.filledFields.add(fieldName);
+                } else {
+                    this.filledFields.delete(fieldName);
+                }
+                
+                if (source && this.fieldHasValue(value)) {
+                    this.fieldSources[fieldName] = source;
+                } else {
+                    delete this.fieldSources[fieldName];
+                }
+                
+                delete this.aiSuggestions[fieldName];
+                delete this.conversionIssues[fieldName];
+                this.queueAgentEdit(fieldName, value);
+            });
+            this.flushAgentEdits();
+            
+            this.filledFields = new Set(this.filledFields);
+            this.fieldSources = { ...this.fieldSources };
+            this.aiSuggestions = { ...this.aiSuggestions };
+            this.conversionIssues = { ...this.conversionIssues };
+            this.updateStepProgress();
+            
+            this.sectionSteps.forEach(section => {
+                this.updateSectionProgress(section.fieldComponents?.[0]?.apiName);
+            });
+            
+            Promise.resolve().then(() => {
+                this.updateIndividualFieldStyling();
+            });
+            
+            this.saveFormData();
+        } finally {
+            this.isApplyingHistory = false;
+        }
+    }
+    
+    // Lookup fields accept a record name from voice; it is resolved to an ID on the server
+    isLookupName(fieldName, value) {
+        const fieldInfo = this.objectInfo?.fields?.[fieldName];
+        return fieldInfo?.dataType === 'Reference' && this.fieldHasValue(value) &&
+            typeof value !== 'object' && !isRecordId(value, this.getLookupKeyPrefixes(fieldInfo));
+    }
+    
+    // Empty until the referenced objects' metadata loads; the server search also resolves IDs meanwhile
+    getLookupKeyPrefixes(fieldInfo) {
+        return (fieldInfo?.referenceToInfos || [])
+            .map(info => this.referenceKeyPrefixes[info.apiName])
+            .filter(keyPrefix => keyPrefix);
+    }
+    
+    // Skip the server search when the conflict policy will keep the agent's value anyway
+    shouldSearchLookup(fieldName, source, options) {
+        if (source !== FIELD_SOURCES.VOICE || options.skipConflictCheck) {
+            return true;
+        }
+        const isManual = this.fieldSources[fieldName]?.source === FIELD_SOURCES.MANUAL;
+        return !isManual || this.conflictPolicy !== CONFLICT_POLICIES.KEEP_MANUAL;
+    }
+    
+    // One clear match fills the ID, several open the disambiguation picker, none is reported on the field
+    async resolveLookupNames(lookupNames, source, options) {
+        const resolved = {};
+        
+        await Promise.all(Object.keys(lookupNames).map(async fieldName => {
+            const searchTerm = String(lookupNames[fieldName]).trim();
+            try {
+                const candidates = await searchLookupRecords({
+                    objectName: this.selectedObject,
+                    fieldName: fieldName,
+                    searchTerm: searchTerm
+                }) || [];
+                const match = this.pickLookupCandidate(candidates);
+                
+                if (match) {
+                    resolved[fieldName] = match.id;
+                } else if (candidates.length === 0) {
+                    this.setConversionIssue(fieldName, searchTerm, 'no matching record found');
+                } else {
+                    this.lookupChoices[fieldName] = { searchTerm, candidates, source, utteranceId: options.utteranceIds?.[fieldName] };
+                }
+            } catch (error) {
+                console.error('Error searching lookup records:', error);
+                this.setConversionIssue(fieldName, searchTerm, 'record search failed');
+            }
+        }));
+        
+        this.lookupChoices = { ...this.lookupChoices };
+        this.conversionIssues = { ...this.conversionIssues };
+        
+        if (Object.keys(resolved).length > 0) {
+            this.populateFormFields(resolved, source, options);
+        }
+    }
+    
+    pickLookupCandidate(candidates) {
+        if (candidates.length === 1) {
+            return candidates[0];
+        }
+        const exactMatches = candidates.filter(candidate => candidate.isExactMatch);
+        return exactMatches.length === 1 ? exactMatches[0] : null;
+    }
+    
+    // The agent picked the record explicitly, so the conflict policy does not apply
+    handleLookupSelect(event) {
+        const fieldName = event.currentTarget.dataset.fieldName;
+        const choice = this.lookupChoices[fieldName];
+        this.removeLookupChoice(fieldName);
+        
+        if (choice) {
+            this.populateFormFields({ [fieldName]: event.detail.recordId }, choice.source, {
+                skipConflictCheck: true,
+                utteranceIds: { [fieldName]: choice.utteranceId }
+            });
+        }
+    }
+    
+    handleLookupDismiss(event) {
+        this.removeLookupChoice(event.currentTarget.dataset.fieldName);
+    }
+    
+    removeLookupChoice(fieldName) {
+        if (this.lookupChoices[fieldName]) {
+            const remaining = { ...this.lookupChoices };
+            delete remaining[fieldName];
+            this.lookupChoices = remaining;
+        }
+    }
+    
+    clearConversionIssue(fieldName) {
+        if (this.conversionIssues[fieldName]) {
+            const remaining = { ...this.conversionIssues };
+            delete remaining[fieldName];
+            this.conversionIssues = remaining;
+        }
+    }
+    
+    getInputField(fieldName) {
+        return this.template.querySelector(`lightning-input-field[data-field-name="${fieldName}"]`);
+    }
+    
+    handleAcceptSuggestion(event) {
+        const fieldName = event.currentTarget.dataset.fieldName;
+        const suggestion = this.aiSuggestions[fieldName];
+        const inputField = this.getInputField(fieldName);
+        
+        if (!suggestion || !inputField) {
+            return;
+        }
+        
+        const change = this.buildFieldChange(fieldName, inputField.value, suggestion.value);
+        inputField.value = suggestion.value;
+        this.filledFields.add(fieldName);
+        this.filledFields = new Set(this.filledFields);
+        this.setFieldSource(fieldName, FIELD_SOURCES.VOICE);
+        this.fieldSources = { ...this.fieldSources };
+        this.removeSuggestion(fieldName);
+        this.recordHistory(FIELD_SOURCES.VOICE, [change]);
+        
+        this.updateSingleFieldStyling(inputField);
+        this.updateStepProgress();
+        this.updateSectionProgress(fieldName);
+        this.saveFormData();
+    }
+    
+    // Dismissed values are remembered so the same stale AI value is not suggested again
+    handleDismissSuggestion(event) {
+        const fieldName = event.currentTarget.dataset.fieldName;
+        const suggestion = this.aiSuggestions[fieldName];
+        
+        if (suggestion) {
+            this.dismissedSuggestions[fieldName] = suggestion.value;
+        }
+        this.removeSuggestion(fieldName);
+    }
+    
+    removeSuggestion(fieldName) {
+        const { [fieldName]: removed, ...remaining } = this.aiSuggestions;
+        if (removed) {
+            this.aiSuggestions = remaining;
+        }
+    }
+    
+    // Record who last wrote a field value (mutates in place; callers reassign fieldSources to re-render)
+    setFieldSource(fieldName, source, utteranceId) {
+        if (!fieldName || !source) {
+            return;
+        }
+        this.fieldSources[fieldName] = {
+            source: source,
+            timestamp: Date.now()
+        };
+        if (utteranceId) {
+            this.fieldSources[fieldName].utteranceId = utteranceId;
+        }
+    }
+    
+    clearFieldSource(fieldName) {
+        delete this.fieldSources[fieldName];
+    }
+    
+    // Restore saved provenance; values without a saved source are attributed to the restore itself
+    restoreFieldSources(savedSources, fieldValues, fallbackSource) {
+        const restored = {};
+        Object.keys(fieldValues || {}).forEach(fieldName => {
+            if (!this.fieldHasValue(fieldValues[fieldName])) {
+                return;
+            }
+            const saved = savedSources?.[fieldName];
+            restored[fieldName] = saved?.source
+                ? saved
+                : { source: fallbackSource, timestamp: Date.now() };
+        });
+        this.fieldSources = restored;
+    }
+    
+    // Add source badge and AI suggestion details for template rendering
+    decorateFieldComponent(field) {
+        const entry = this.fieldSources[field.apiName];
+        const source = entry?.source;
+        const hasEvidence = !!(entry?.utteranceId && this.findUtterance(entry.utteranceId));
+        const suggestion = this.aiSuggestions[field.apiName];
+        const conversionIssue = this.conversionIssues[field.apiName];
+        const lookupChoice = this.lookupChoices[field.apiName];
+        const isRequired = this.isFieldRequired(field.apiName);
+        // Hidden fields stay rendered so voice values arriving before their controlling field are kept
+        const isHidden = this.hiddenFields.has(field.apiName);
+        const submitError = this.submitFieldErrors[field.apiName];
+        let cssClass = isHidden ? `${field.cssClass} slds-hide` : field.cssClass;
+        if (submitError) {
+            cssClass = `${cssClass} slds-has-error`;
+        }
+        return {
+            ...field,
+            cssClass: cssClass,
+            isRequired: isRequired,
+            isMissingRequired: this.showValidationErrors && isRequired && !this.filledFields.has(field.apiName),
+            canRevert: this.revertableFields.has(field.apiName),
+            hasLookupChoice: !!lookupChoice,
+            lookupSearchTerm: lookupChoice ? lookupChoice.searchTerm : '',
+            lookupCandidates: lookupChoice ? lookupChoice.candidates : [],
+            hasConversionIssue: !!conversionIssue,
+            conversionIssueMessage: conversionIssue ? conversionIssue.message : '',
+            hasSubmitError: !!submitError,
+            submitErrorMessage: submitError || '',
+            hasSuggestion: !!suggestion,
+            suggestionLabel: suggestion ? this.formatSuggestionValue(suggestion.value) : '',
+            hasSource: !!source,
+            sourceLabel: source ? FIELD_SOURCE_LABELS[source] || source : '',
+            sourceTitle: source
+                ? `Filled by ${FIELD_SOURCE_LABELS[source] || source}${hasEvidence ? ' (click to show what was said)' : ''}`
+                : '',
+            sourceBadgeClass: source
+                ? `field-source-badge field-source-badge_${source}${hasEvidence ? ' field-source-badge_linked' : ''}`
+                : 'field-source-badge'
+        };
+    }
+    
+    formatSuggestionValue(value) {
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'Checked' : 'Unchecked';
+        }
+        return String(value);
+    }
+    
+    // Convert incoming values using the object's field metadata; returns { value, error }
+    processFieldValue(value, field, fieldsDetails = {}) {
+        const fieldInfo = this.objectInfo?.fields?.[field.fieldName];
+        const converted = convertFieldValue(value, fieldInfo, { keyPrefixes: this.getLookupKeyPrefixes(fieldInfo) });
+        
+        if (converted.error || !this.fieldHasValue(converted.value)) {
+            return converted;
+        }
+        if (fieldInfo?.dataType === 'Picklist' || fieldInfo?.dataType === 'MultiPicklist') {
+            return this.matchPicklist(field.fieldName, converted.value, fieldInfo, fieldsDetails);
+        }
+        return converted;
+    }
+    
+    // Map free text onto the record type's active picklist entries (values not loaded yet pass through)
+    matchPicklist(fieldName, value, fieldInfo, fieldsDetails) {
+        const picklistInfo = this.picklistFieldValues[fieldName];
+        if (!picklistInfo) {
+            return { value, error: null };
+        }
+        
+        const options = {
+            synonyms: this.picklistSynonyms[fieldName],
+            controllerValue: this.getControllerValue(fieldInfo.controllerName, fieldsDetails)
+        };
+        return fieldInfo.dataType === 'MultiPicklist'
+            ? matchMultiPicklistValue(value, picklistInfo, options)
+            : matchPicklistValue(value, picklistInfo, options);
+    }
+    
+    // Controlling value from the same AI batch if present, otherwise from the form
+    getControllerValue(controllerName, fieldsDetails) {
+        if (!controllerName) {
+            return null;
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(fieldsDetails, controllerName)) {
+            const controllerField = this.getInputField(controllerName);
+            if (controllerField) {
+                const { value, error } = this.processFieldValue(fieldsDetails[controllerName], controllerField);
+                if (!error) {
+                    return value;
+                }
+            }
+        }
+        
+        const controllerField = this.getInputField(controllerName);
+        return controllerField ? controllerField.value : null;
+    }
+    
+    // Values that could not be converted are reported on the field instead of being written raw
+    setConversionIssue(fieldName, rawValue, message) {
+        this.conversionIssues[fieldName] = {
+            rawValue: rawValue,
+            message: this.formatConversionIssue(rawValue, message)
+        };
+    }
+    
+    formatConversionIssue(rawValue, message) {
+        return `Could not use AI value "${this.formatSuggestionValue(rawValue)}": ${message}`;
+    }
+    
+    updateSingleFieldStyling(lightningField) {
+        try {
+            const container = lightningField.closest('.slds-col');
+            if (container) {
+                const fieldValue = lightningField.value;
+                const hasValue = this.fieldHasValue(fieldValue);
+                
+                if (hasValue) {
+                    container.classList.add('field-with-value');
+                } else {
+                    container.classList.remove('field-with-value');
+                }
+            }
+        } catch (error) {
+            console.error('Error updating single field styling:', error);
+        }
+    }
+    
+    updateIndividualFieldStyling() {
+        if (this.isUpdatingStyling) {
+            return;
+        }
+        
+        this.isUpdatingStyling = true;
+        
+        Promise.resolve().then(() => {
+            this.doUpdateIndividualFieldStyling();
+            this.isUpdatingStyling = false;
+        });
+    }
+    
+    doUpdateIndividualFieldStyling() {
+        try {
+            this.processedFields = new Set();
+            const allLightningFields = this.template.querySelectorAll(FORM_FIELD_SELECTOR);
+            
+            allLightningFields.forEach(lightningField => {
+                const container = lightningField.closest('.slds-col');
+                if (container) {
+                    this.processSingleFieldStyling(container, lightningField);
+                }
+            });
+            
+            this.processedFields.clear();
+        } catch (error) {
+            console.error('Error updating individual field styling:', error);
+        }
+    }
+    
+    processSingleFieldStyling(container, lightningField) {
+        const fieldName = lightningField.fieldName;
+        
+        if (this.processedFields.has(fieldName)) {
+            return;
+        }
+        this.processedFields.add(fieldName);
+        
+        const hasValue = this.filledFields.has(fieldName);
+        
+        if (hasValue) {
+            container.classList.add('field-with-value');
+            container.setAttribute('data-has-value', 'true');
+        } else {
+            container.classList.remove('field-with-value');
+            container.setAttribute('data-has-value', 'false');
+        }
+    }
+    
+    updateFieldStyling() {
+        try {
+            const fieldContainers = this.template.querySelectorAll('.slds-col');
+            
+            fieldContainers.forEach(container => {
+                const lightningField = container.querySelector('lightning-input-field');
+                if (lightningField) {
+                    const fieldValue = lightningField.value;
+                    const hasValue = this.fieldHasValue(fieldValue);
+                    
+                    if (hasValue) {
+                        container.classList.add('field-with-value');
                     } else {
-                        cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_x-small remaining-field";
+                        container.classList.remove('field-with-value');
                     }
-                } else {
-                    cssClass = "slds-col slds-size_1-of-1 slds-medium-size_4-of-12 slds-var-m-bottom_x-small grid-field";
                 }
-                
-                return {
-                    apiName: fieldName,
-                    isFullWidth: totalFields === 1 || (isInRemainingGroup && remainingFields === 1),
-                    cssClass: cssClass,
-                    isRemainingField: isInRemainingGroup
-                };
             });
-            
-            this.processSections();
-            this.loadFormData();
-            
-            if (this.contactId) {
-                this.autoPopulateContactFields();
-            }
-            
-        } catch (error) {
-            console.error('Error loading field data:', error);
-            this.fieldsArray = [];
-        } finally {
-            this.isLoadingFields = false;
-        }
+        } catch (error) {
+            console.error('Error updating field styling:', error);
+        }
+    }
+    
+    // Check if field has a meaningful value (handles all data types including boolean false)
+    fieldHasValue(value) {
+        if (value === null || value === undefined) {
+            return false;
+        }
+        
+        if (typeof value === 'boolean') {
+            return true; // Both true and false are valid values
+        }
+        
+        if (typeof value === 'number') {
+            return true; // Including 0
+        }
+        
+        if (typeof value === 'string') {
+            return value.trim() !== '';
+        }
+        
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        
+        if (typeof value === 'object') {
+            return true;
+        }
+        
+        return value !== '';
+    }
+
+    disconnectedCallback() {
+        this.announcePresence(false);
+        this.flushAgentEdits();
+        this._saveDataTimeout = false;
+        this.saveFormData();
+        this.flushAutosave();
+        
+        document.removeEventListener('visibilitychange', this._boundPageHide);
+        window.removeEventListener('beforeunload', this._boundPageHide);
+        window.removeEventListener('online', this._boundOnline);
+        
+        if (this._boundFocusIn) {
+            this.template.removeEventListener('focusin', this._boundFocusIn);
+        }
+        if (this._boundFocusOut) {
+            this.template.removeEventListener('focusout', this._boundFocusOut);
+        }
+        if (this._boundKeyDown) {
+            this.template.removeEventListener('keydown', this._boundKeyDown);
+        }
+        if (this._boundClick) {
+            this.template.removeEventListener('click', this._boundClick);
+        }
+    }
+
+    // Parse URL parameters to determine form mode (new/edit/update/draft) and auto-populate data
+    @wire(CurrentPageReference)
+    setCurrentPageReference(pageRef) {
+        try {
+            const state = pageRef?.state || {};
+            const formId = state.c__formId || state.formId || '';
+            const recordId = state.c__recordId || state.recordId || '';
+            const externalFormId = state.c__externalFormId || '';
+            const mode = state.c__mode || 'new';
+            const draftRecordId = state.c__draftRecordId || '';
+            const createdRecordId = state.c__createdRecordId || '';
+            const recordIdToCheck = state.c__recordId || state.recordId || '';
+            const contactId = recordIdToCheck.startsWith('003') ? recordIdToCheck : null; // Contact IDs start with 003
+            
+            
+            // Priority 1: Load existing draft for editing
+            if (draftRecordId) {
+                this.draftRecordId = draftRecordId;
+                this.isEditingDraft = true;
+                this.isUpdateMode = (mode === 'update' && createdRecordId); // Update mode modifies existing records
+                this.recordIdToUpdate = createdRecordId || null;
+                this.formPreselected = true;
+                this.resetFormState();
+                this.loadFormFromDraft();
+            } else if (formId) {
+                // Priority 2: Load form configuration and prefill from the source record
+                if (formId !== this.selectedForm || externalFormId !== this.externalFormId || recordId !== this.sourceRecordId) {
+                    this.formPreselected = true;
+                    this.selectedForm = formId;
+                    this.sourceRecordId = recordId;
+                    this.contactId = contactId;
+                    this.externalFormId = externalFormId || 'default';
+                    this.callRecordId = state.c__callRecordId || null;
+                    this.isEditMode = (mode === 'edit');
+                    this.isEditingDraft = false;
+                    this.isUpdateMode = false;
+                    this.draftRecordId = null;
+                    this.recordIdToUpdate = null;
+                    this.resetFormState();
+                    this.loadObjectFieldsData();
+                }
+            } else {
+                // Priority 3: Allow manual form selection
+                this.formPreselected = false;
+                this.isEditingDraft = false;
+                this.isUpdateMode = false;
+                this.draftRecordId = null;
+                this.recordIdToUpdate = null;
+            }
+            this.announcePresence();
+        } catch (e) {
+            console.error('Error reading URL params', e);
+        }
+    }
+
+    @wire(getObjectInfo, { objectApiName: '$selectedObject' })
+    wiredInfo({ data, error }) {
+        if (data) {
+            this.objectInfo = data;
+        }
+        if (data && !this.recordTypeId) {
+            this.recordTypeId = data.defaultRecordTypeId;
+        } else if (error) {
+            console.error('Error loading object metadata', error);
+        }
+    }
+
+    get picklistRecordTypeId() {
+        return this.recordTypeId || this.objectInfo?.defaultRecordTypeId;
+    }
+
+    // Record-type-specific picklist entries, including dependent picklist validFor data
+    @wire(getPicklistValuesByRecordType, { objectApiName: '$selectedObject', recordTypeId: '$picklistRecordTypeId' })
+    wiredPicklistValues({ data, error }) {
+        if (data) {
+            this.picklistFieldValues = data.picklistFieldValues || {};
+        } else if (error) {
+            console.error('Error loading picklist values', error);
+            this.picklistFieldValues = {};
+        }
+    }
+
+    get childObjectApiNames() {
+        const names = [...new Set(this.sectionSteps
+            .filter(section => section.isChildSection && section.childObject)
+            .map(section => section.childObject))];
+        return names.length > 0 ? names : undefined;
+    }
+
+    // Field metadata for Child Records rows, used to convert voice values; objects that fail to load are kept
+    // as null so buffered voice data is not held back waiting for them
+    @wire(getObjectInfos, { objectApiNames: '$childObjectApiNames' })
+    wiredChildObjectInfos({ data, error }) {
+        const apiNames = this.childObjectApiNames || [];
+        if (data) {
+            const infos = {};
+            (data.results || []).forEach(({ statusCode, result }, index) => {
+                if (statusCode === 200 && result) {
+                    infos[result.apiName] = result;
+                } else {
+                    infos[apiNames[index]] = null;
+                }
+            });
+            this.childObjectInfos = infos;
+            this.flushBufferedFieldValues();
+        } else if (error) {
+            console.error('Error loading child object metadata', error);
+            this.childObjectInfos = Object.fromEntries(apiNames.map(apiName => [apiName, null]));
+            this.flushBufferedFieldValues();
+        }
+    }
+
+    // Objects referenced by the lookups on the form and in Child Records rows
+    get referencedObjectApiNames() {
+        const names = new Set();
+        const addReferences = fieldInfo => (fieldInfo?.referenceToInfos || []).forEach(info => names.add(info.apiName));
+        this.sectionSteps.forEach(section => {
+            (section.fieldComponents || []).forEach(field => addReferences(this.objectInfo?.fields?.[field.apiName]));
+            (section.childFields || []).forEach(fieldName => {
+                addReferences(this.childObjectInfos[section.childObject]?.fields?.[fieldName]);
+            });
+        });
+        return names.size > 0 ? [...names].sort() : undefined;
+    }
+
+    // Key prefixes let a value be recognised as a record ID of the lookup's target object
+    @wire(getObjectInfos, { objectApiNames: '$referencedObjectApiNames' })
+    wiredReferencedObjectInfos({ data, error }) {
+        if (data) {
+            const keyPrefixes = {};
+            (data.results || []).forEach(({ statusCode, result }) => {
+                if (statusCode === 200 && result?.keyPrefix) {
+                    keyPrefixes[result.apiName] = result.keyPrefix;
+                }
+            });
+            this.referenceKeyPrefixes = keyPrefixes;
+        } else if (error) {
+            console.error('Error loading lookup target metadata', error);
+        }
+    }
+
+    resetFormState() {
+        this.fieldsReady = false;
+        this.autosave.stop();
+        this.autosave = this.createAutosave();
+        this.autosaveStatus = AUTOSAVE_STATUS.IDLE;
+        this.autosaveSavedAt = null;
+        this.autosaveError = null;
+        this.bufferedFieldValues = {};
+        this.appliedIncomingDataIds = [];
+        this.history.clear();
+        this.lastKnownValues = {};
+        this.refreshHistoryState();
+        this.showValidationErrors = false;
+        this.clearSubmitErrors();
+        this.filledFields.clear();
+        this.fieldSources = {};
+        this.aiSuggestions = {};
+        this.lookupChoices = {};
+        this.dismissedSuggestions = {};
+        this.pendingSuggestions = {};
+        this.conversionIssues = {};
+        this.conflictPolicy = CONFLICT_POLICIES.KEEP_MANUAL;
+        this.confidenceThreshold = null;
+        this.picklistSynonyms = {};
+        this.visibilityRules = [];
+        this.hiddenFields = new Set();
+        this.hiddenSections = new Set();
+        this.childRows = {};
+        this.completedSteps.clear();
+        this.fieldsArray = [];
+        this.objectFieldsData = null;
+        this.sectionSteps = [];
+        this.selectedObject = null;
+        this.selectedFormName = null;
+        this.recordTypeId = null;
+        this.recordTypeName = '';
+        this.isLoadingFields = false;
+        this.showSuccessModal = false;
+        this.createdRecordId = null;
+        this.showCancelModal = false;
+        this.showDeleteModal = false;
+        this.showUpdateReviewModal = false;
+        this.updateChanges = [];
+        this.pendingUpdate = null;
+        this.showDuplicateModal = false;
+        this.duplicateCandidates = [];
+        this.pendingCreate = null;
+        this.pendingRecordSwitch = null;
+        this.recordBaseline = null;
+        this.highlightedUtteranceId = null;
+        this.isCallEnded = false;
+        this.bookmarkActions = [];
+        this.handledBookmarkIds = new Set();
+        this.reviewedSections = new Set();
+        this.bookmarkNotes = [];
+        this.questionTemplates = {};
+        this.fieldDetails = {};
+        this.detectedQuestions = [];
+        this.skippedQuestionFields = new Set();
+        this.dismissedQuestionIds = new Set();
+        this.pendingAgentEdits = {};
+        this.agentEditSequence = 0;
+    }
+
+    async loadObjectFieldsData() {
+        this.isLoadingFields = true;
+        
+        try {
+            const result = await getObjectFieldsData({ analysisId: this.selectedForm });
+            this.objectFieldsData = result;
+            this.selectedObject = result.objectName;
+            this.selectedFormName = result.formName;
+            this.recordTypeId = result.recordTypeId;
+            this.recordTypeName = result.recordTypeName || '';
+            this.conflictPolicy = result.conflictPolicy || CONFLICT_POLICIES.KEEP_MANUAL;
+            this.confidenceThreshold = result.confidenceThreshold ?? null;
+            this.picklistSynonyms = this.parsePicklistSynonyms(result.picklistSynonyms);
+            this.visibilityRules = parseVisibilityRules(result.visibilityRules);
+            this.bookmarkActions = parseBookmarkActions(result.bookmarkActions);
+            this.questionTemplates = parseQuestionTemplates(result.questionTemplates);
+            this.fieldDetails = parseFieldDetails(result.fieldAnalysisDetails);
+            
+            // Build responsive 3-column grid with proper handling of remaining fields
+            this.fieldsArray = result.fields.map((fieldName, index) => {
+                const totalFields = result.fields.length;
+                const remainingFields = totalFields % 3;
+                const isInRemainingGroup = index >= totalFields - remainingFields && remainingFields > 0;
+                
+                let cssClass;
+                
+                if (totalFields === 1) {
+                    cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_x-small full-width-field";
+                } else if (totalFields === 2) {
+                    cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_x-small remaining-field";
+                } else if (isInRemainingGroup) {
+                    if (remainingFields === 1) {
+                        cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_x-small remaining-field full-width-field";
+                    } else {
+                        cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_x-small remaining-field";
+                    }
+                } else {
+                    cssClass = "slds-col slds-size_1-of-1 slds-medium-size_4-of-12 slds-var-m-bottom_x-small grid-field";
+                }
+                
+                return {
+                    apiName: fieldName,
+                    isFullWidth: totalFields === 1 || (isInRemainingGroup && remainingFields === 1),
+                    cssClass: cssClass,
+                    isRemainingField: isInRemainingGroup
+                };
+            });
+            
+            this.processSections();
+            this.loadFormData();
+            
+            if (this.sourceRecordId) {
+                this.autoPopulateFromSourceRecord();
+            }
+            
+        } catch (error) {
+            console.error('Error loading field data:', error);
+            this.fieldsArray = [];
+        } finally {
+            this.isLoadingFields = false;
+        }
+    }
+
+    parsePicklistSynonyms(synonymsJson) {
+        if (!synonymsJson) {
+            return {};
+        }
+        try {
+            return JSON.parse(synonymsJson);
+        } catch (error) {
+            console.error('Error parsing picklist synonyms:', error);
+            return {};
+        }
+    }
+
+    processSections() {
+        if (!this.objectFieldsData) {
+            this.sectionSteps = [];
+            return;
+        }
+
+        // Build section-based form with progress tracking
+        if (this.objectFieldsData.instructions && this.objectFieldsData.instructions.length > 0) {
+            this.sectionSteps = this.objectFieldsData.instructions.map((section, index) => ({
+                ...section,
+                sectionName: section.text,
+                isChildSection: section.sectionType === CHILD_RECORDS_SECTION_TYPE,
+                // Row fields belong to the child object, so they never mix with the record's own fields
+                childFields: section.sectionType === CHILD_RECORDS_SECTION_TYPE ? section.fields : [],
+                fieldComponents: section.sectionType === CHILD_RECORDS_SECTION_TYPE ? [] : section.fields.map((field, fieldIndex) => {
+                    const totalFields = section.fields.length;
+                    const remainingFields = totalFields % 3;
+                    const isInRemainingGroup = fieldIndex >= totalFields - remainingFields && remainingFields > 0;
+                    
+                    let cssClass;
+                    
+                    if (totalFields === 1) {
+                        cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_xx-small full-width-field";
+                    } else if (totalFields === 2) {
+                        cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_xx-small remaining-field";
+                    } else if (isInRemainingGroup) {
+                        if (remainingFields === 1) {
+                            cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_xx-small remaining-field full-width-field";
+                        } else {
+                            cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_xx-small remaining-field";
+                        }
+                    } else {
+                        cssClass = "slds-col slds-size_1-of-1 slds-medium-size_4-of-12 slds-var-m-bottom_xx-small grid-field";
+                    }
+                    
+                    return {
+                        apiName: field,
+                        isFullWidth: totalFields === 1 || (isInRemainingGroup && remainingFields === 1),
+                        cssClass: cssClass,
+                        isRemainingField: isInRemainingGroup
+                    };
+                }),
+                isCompleted: false,
+                isActive: index === 0, // First section is active by default
+                completionPercentage: 0,
+                completedFields: 0,
+                totalFields: section.fields.length,
+                cssClass: 'section-step slds-var-m-bottom_small',
+                textCssClass: 'slds-text-body_regular',
+                fieldCssClass: '',
+                sectionId: `section-${section.id || index}`,
+                hasFields: section.sectionType !== CHILD_RECORDS_SECTION_TYPE && section.fields && section.fields.length > 0
+            }));
+            
+            this.updateStepProgress();
+        } else {
+            this.sectionSteps = [];
+        }
+    }
+    
+    getSectionProgress(section) {
+        if (section?.isChildSection) {
+            return this.getChildSectionProgress(section);
+        }
+        if (!section || !section.fieldComponents) {
+            return { completed: 0, total: 0, percentage: 0 };
+        }
+        
+        const visibleFields = section.fieldComponents.filter(field => this.isFieldVisible(field.apiName));
+        const filledFields = visibleFields.filter(field => 
+            this.filledFields.has(field.apiName)
+        ).length;
+        
+        return {
+            completed: filledFields,
+            total: visibleFields.length,
+            percentage: visibleFields.length > 0 ? 
+                Math.round((filledFields / visibleFields.length) * 100) : 0
+        };
+    }
+    
+    get sectionsWithProgress() {
+        return this.sectionSteps.map(section => ({
+            ...section,
+            containerClass: this.hiddenSections.has(section.sectionName)
+                ? 'slds-var-m-bottom_small section-container slds-hide'
+                : 'slds-var-m-bottom_small section-container',
+            fieldComponents: section.fieldComponents.map(field => this.decorateFieldComponent(field)),
+            childRowList: section.isChildSection ? this.getChildRowList(section) : [],
+            hasChildRows: (this.childRows[section.sectionId] || []).length > 0,
+            progress: this.getSectionProgress(section),
+            isComplete: this.getSectionProgress(section).percentage === 100
+        }));
+    }
+
+
+
+
+    handleFieldChange(event) {
+        const fieldName = event.target.fieldName;
+        const value = event.target.value;
+        const change = this.buildFieldChange(fieldName, this.lastKnownValues[fieldName], value);
+        
+        // A manual edit supersedes any pending AI chip so Accept cannot overwrite what the agent typed
+        this.removeSuggestion(fieldName);
+        
+        // Track filled fields (boolean false counts as filled)
+        if (typeof value === 'boolean') {
+            this.filledFields.add(fieldName);
+            this.setFieldSource(fieldName, FIELD_SOURCES.MANUAL);
+        } else if (value != null && value !== undefined && value !== '') {
+            this.filledFields.add(fieldName);
+            this.setFieldSource(fieldName, FIELD_SOURCES.MANUAL);
+        } else {
+            this.filledFields.delete(fieldName);
+            this.clearFieldSource(fieldName);
+        }
+        
+        this.filledFields = new Set(this.filledFields);
+        this.fieldSources = { ...this.fieldSources };
+        this.recordHistory(FIELD_SOURCES.MANUAL, [change], `manual:${fieldName}`);
+        this.queueAgentEdit(fieldName, value);
+        this.clearConversionIssue(fieldName);
+        this.clearSubmitError(fieldName);
+        this.removeLookupChoice(fieldName);
+        this.updateSingleFieldStyling(event.target);
+        this.updateStepProgress();
+        this.updateSectionProgress(fieldName);
+        
+        // Debounce save to session storage to avoid excessive writes
+        if (this._saveDataTimeout) {
+            clearTimeout(this._saveDataTimeout);
+        }
+        this._saveDataTimeout = true;
+        
+        Promise.resolve().then(() => {
+            if (this._saveDataTimeout) {
+                this._saveDataTimeout = false;
+                this.saveFormData();
+            }
+        });
+    }
+    
+    handleFieldBlur(event) {
+        if (event.target.closest(FORM_FIELD_SELECTOR)) {
+            this.flushAgentEdits();
+        }
+    }
+    
+    queueAgentEdit(fieldName, value) {
+        this.pendingAgentEdits = { ...this.pendingAgentEdits, [fieldName]: value ?? null };
+    }
+    
+    // Tells the AI session about values the agent entered or corrected so it does not re-extract over them;
+    // the realtime client forwards the message upstream
+    flushAgentEdits() {
+        const fieldNames = Object.keys(this.pendingAgentEdits);
+        if (fieldNames.length === 0 || !this.selectedForm || !this.externalFormId) {
+            this.pendingAgentEdits = {};
+            return;
+        }
+        
+        fieldNames.forEach(fieldName => {
+            this.agentEditSequence += 1;
+            publish(this.context, RPISTOLWC, {
+                type: 'fieldUpdatedByAgent',
+                version: AGENT_EDIT_MESSAGE_VERSION,
+                title: 'dynamicCreatorWithDropdown',
+                callRecordId: this.callRecordId,
+                externalFormId: this.externalFormId,
+                formId: this.selectedForm,
+                fieldName: fieldName,
+                value: this.pendingAgentEdits[fieldName],
+                sequence: this.agentEditSequence,
+                timestamp: Date.now()
+            });
+        });
+        this.pendingAgentEdits = {};
+    }
+    
+    handleFieldFocus(event) {
+        const inputField = event.target.closest(FORM_FIELD_SELECTOR);
+        if (inputField) {
+            const fieldName = inputField.fieldName || inputField.dataset.fieldName;
+            
+            if (fieldName) {
+                this.setActiveSectionByField(fieldName);
+            }
+        }
+    }
+    
+    handleTemplateClick(event) {
+        const sectionItem = event.target.closest('.slds-progress__item');
+        if (sectionItem) {
+            return;
+        }
+        
+        const inputField = event.target.closest('lightning-input-field');
+        if (inputField) {
+            return;
+        }
+        
+        this.clearAllActiveHighlights();
+    }
+    
+    clearAllActiveHighlights() {
+        try {
+            const allNavSections = this.template.querySelectorAll('.slds-progress__item');
+            allNavSections.forEach(section => {
+                section.classList.remove('progress-step-active');
+            });
+            
+            this.sectionSteps = this.sectionSteps.map(section => ({
+                ...section,
+                isActive: false
+            }));
+            
+        } catch (error) {
+            console.error('Error clearing active highlights:', error);
+        }
+    }
+    
+    setActiveSectionByField(fieldName) {
+        const sectionWithField = this.sectionSteps.find(section => 
+            section.fieldComponents && section.fieldComponents.some(field => field.apiName === fieldName)
+        );
+        
+        if (sectionWithField) {
+            this.setActiveSection(sectionWithField.sectionId);
+            this.highlightNavigationSection(sectionWithField.sectionId);
+        }
+    }
+    
+    highlightNavigationSection(sectionId) {
+        try {
+            const allNavSections = this.template.querySelectorAll('.slds-progress__item');
+            allNavSections.forEach(section => {
+                section.classList.remove('progress-step-active');
+            });
+            
+            const targetNavSection = this.template.querySelector(`[data-section-id="${sectionId}"]`);
+            if (targetNavSection) {
+                
+                targetNavSection.classList.add('progress-step-active');
+            }
+        } catch (error) {
+            console.error('Error highlighting navigation section:', error);
+        }
+    }
+    
+    updateSectionProgress(changedFieldName) {
+        this.sectionSteps = this.sectionSteps.map(section => {
+            const fieldBelongsToSection = section.fieldComponents.some(
+                field => field.apiName === changedFieldName
+            );
+            
+            if (fieldBelongsToSection) {
+                const progress = this.getSectionProgress(section);
+                return {
+                    ...section,
+                    completionPercentage: progress.percentage,
+                    completedFields: progress.completed,
+                    isCompleted: progress.percentage === 100
+                };
+            }
+            
+            return section;
+        });
+    }
+    
+    handleSectionClick(event) {
+        const sectionId = event.currentTarget.dataset.sectionId;        
+        this.focusOnSection(sectionId);
+        this.setActiveSection(sectionId);
+        this.highlightNavigationSection(sectionId);
+    }
+    
+    handleSectionKeyDown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            const sectionId = event.currentTarget.dataset.sectionId;
+            
+            this.focusOnSection(sectionId);
+            this.setActiveSection(sectionId);
+            this.highlightNavigationSection(sectionId);
+        }
+    }
+    
+    focusOnSection(sectionId) {
+        try {
+            const targetSection = this.template.querySelector(`[data-section-id="${sectionId}"].section-container`);
+            
+            if (targetSection) {
+                targetSection.scrollIntoView({ 
+                    behavior: 'smooth', 
+                    block: 'start',
+                    inline: 'nearest'
+                });
+                
+                targetSection.classList.add('section-focused');
+                const onAnimationEnd = () => {
+                    targetSection.classList.remove('section-focused');
+                    targetSection.removeEventListener('animationend', onAnimationEnd);
+                };
+                targetSection.addEventListener('animationend', onAnimationEnd);
+            }
+        } catch (error) {
+            console.error('Error focusing on section:', error);
+        }
+    }
+    
+    setActiveSection(sectionId) {
+        try {
+            const previousSection = this.sectionSteps.find(section => section.isActive);
+            this.sectionSteps = this.sectionSteps.map(section => ({
+                ...section,
+                isActive: section.sectionId === sectionId
+            }));
+            
+            // Moving on to another section is a natural checkpoint for the draft
+            if (previousSection && previousSection.sectionId !== sectionId) {
+                this.flushAutosave();
+            }
+            
+        } catch (error) {
+            console.error('Error setting active section:', error);
+        }
+    }
+
+    // Section is complete only when ALL fields are filled
+    checkStepCompletion(instruction) {
+        if (instruction.isChildSection) {
+            const progress = this.getChildSectionProgress(instruction);
+            return progress.total > 0 && progress.completed === progress.total;
+        }
+        const stepFields = (instruction.fields || []).filter(field => this.isFieldVisible(field));
+        return stepFields.length > 0 && stepFields.every(field => this.filledFields.has(field));
+    }
+
+    // Value the agent currently sees; falls back to the last applied value before inputs render
+    getCurrentFieldValue(fieldName) {
+        const inputField = this.getInputField(fieldName);
+        if (inputField) {
+            return inputField.value;
+        }
+        return this.lastKnownValues[fieldName];
+    }
+
+    getChildSectionProgress(section) {
+        const rows = this.childRows[section.sectionId] || [];
+        const filledRows = rows.filter(row => this.childRowHasValues(row)).length;
+        return {
+            completed: filledRows,
+            total: rows.length,
+            percentage: rows.length > 0 ? Math.round((filledRows / rows.length) * 100) : 0
+        };
+    }
+
+    childRowHasValues(row) {
+        return Object.keys(row.values).some(fieldName => this.fieldHasValue(row.values[fieldName]));
+    }
+
+    getChildRowList(section) {
+        const childInfo = this.childObjectInfos[section.childObject];
+        const childLabel = childInfo?.label || section.childObject;
+        return (this.childRows[section.sectionId] || []).map((row, index) => ({
+            key: row.key,
+            label: `${childLabel} ${index + 1}`,
+            recordTypeId: childInfo?.defaultRecordTypeId,
+            fields: section.childFields.map(fieldName => ({
+                key: `${row.key}-${fieldName}`,
+                apiName: fieldName,
+                fieldInfo: childInfo?.fields?.[fieldName],
+                value: row.values[fieldName] ?? null,
+                hasConversionIssue: !!row.issues[fieldName],
+                conversionIssueMessage: row.issues[fieldName] || ''
+            }))
+        }));
+    }
+
+    createChildRow(values = {}, issues = {}) {
+        return { key: `row-${this.nextChildRowKey++}`, values: values, issues: issues };
+    }
+
+    updateChildRows(sectionId, rows) {
+        this.childRows = { ...this.childRows, [sectionId]: rows };
+        this.updateStepProgress();
+        this.saveFormData();
+    }
+
+    handleAddChildRow(event) {
+        const sectionId = event.currentTarget.dataset.sectionId;
+        this.updateChildRows(sectionId, [...(this.childRows[sectionId] || []), this.createChildRow()]);
+    }
+
+    handleRemoveChildRow(event) {
+        const { sectionId, rowKey } = event.currentTarget.dataset;
+        this.updateChildRows(sectionId, (this.childRows[sectionId] || []).filter(row => row.key !== rowKey));
+    }
+
+    handleChildFieldChange(event) {
+        const { sectionId, rowKey } = event.currentTarget.dataset;
+        const { fieldName, value } = event.detail;
+        this.updateChildRows(sectionId, (this.childRows[sectionId] || []).map(row => {
+            if (row.key !== rowKey) {
+                return row;
+            }
+            const issues = { ...row.issues };
+            delete issues[fieldName];
+            return { ...row, values: { ...row.values, [fieldName]: value }, issues: issues };
+        }));
+    }
+
+    // Voice sends rows as a list under the child object's API name (or the section name); rows carrying
+    // a 1-based rowNumber update that row, the rest fill empty rows before new ones are added
+    applyChildRecordValues(fieldsDetails) {
+        this.sectionSteps.filter(section => section.isChildSection).forEach(section => {
+            const incomingRows = fieldsDetails[section.childObject] ?? fieldsDetails[section.sectionName];
+            if (!Array.isArray(incomingRows) || incomingRows.length === 0) {
+                return;
+            }
+
+            const rows = [...(this.childRows[section.sectionId] || [])];
+            incomingRows.forEach(incomingRow => {
+                const { values, issues } = this.convertChildRowValues(section, incomingRow);
+                if (Object.keys(values).length === 0 && Object.keys(issues).length === 0) {
+                    return;
+                }
+
+                const rowIndex = Number(incomingRow.rowNumber) - 1;
+                const targetIndex = rows[rowIndex] ? rowIndex : rows.findIndex(row => !this.childRowHasValues(row));
+                if (targetIndex >= 0) {
+                    const target = rows[targetIndex];
+                    const remainingIssues = { ...target.issues };
+                    Object.keys(values).forEach(fieldName => delete remainingIssues[fieldName]);
+                    rows[targetIndex] = {
+                        ...target,
+                        values: { ...target.values, ...values },
+                        issues: { ...remainingIssues, ...issues }
+                    };
+                } else {
+                    rows.push(this.createChildRow(values, issues));
+                }
+            });
+
+            this.childRows = { ...this.childRows, [section.sectionId]: rows };
+        });
     }
 
-    processSections() {
-        if (!this.objectFieldsData) {
-            this.sectionSteps = [];
-            return;
+    // Values that cannot be converted are reported on the row, the same way conversionIssues are for the record's fields
+    convertChildRowValues(section, incomingRow) {
+        const values = {};
+        const issues = {};
+        if (!incomingRow || typeof incomingRow !== 'object') {
+            return { values, issues };
         }
 
-        // Build section-based form with progress tracking
-        if (this.objectFieldsData.instructions && this.objectFieldsData.instructions.length > 0) {
-            this.sectionSteps = this.objectFieldsData.instructions.map((section, index) => ({
-                ...section,
-                sectionName: section.text,
-                fieldComponents: section.fields.map((field, fieldIndex) => {
-                    const totalFields = section.fields.length;
-                    const remainingFields = totalFields % 3;
-                    const isInRemainingGroup = fieldIndex >= totalFields - remainingFields && remainingFields > 0;
-                    
-                    let cssClass;
-                    
-                    if (totalFields === 1) {
-                        cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_xx-small full-width-field";
-                    } else if (totalFields === 2) {
-                        cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_xx-small remaining-field";
-                    } else if (isInRemainingGroup) {
-                        if (remainingFields === 1) {
-                            cssClass = "slds-col slds-size_1-of-1 slds-var-m-bottom_xx-small remaining-field full-width-field";
-                        } else {
-                            cssClass = "slds-col slds-size_1-of-1 slds-medium-size_6-of-12 slds-var-m-bottom_xx-small remaining-field";
-                        }
-                    } else {
-                        cssClass = "slds-col slds-size_1-of-1 slds-medium-size_4-of-12 slds-var-m-bottom_xx-small grid-field";
-                    }
-                    
-                    return {
-                        apiName: field,
-                        isFullWidth: totalFields === 1 || (isInRemainingGroup && remainingFields === 1),
-                        cssClass: cssClass,
-                        isRemainingField: isInRemainingGroup
-                    };
-                }),
-                isCompleted: false,
-                isActive: index === 0, // First section is active by default
-                completionPercentage: 0,
-                completedFields: 0,
-                totalFields: section.fields.length,
-                cssClass: 'section-step slds-var-m-bottom_small',
-                textCssClass: 'slds-text-body_regular',
-                fieldCssClass: '',
-                sectionId: `section-${section.id || index}`,
-                hasFields: section.fields && section.fields.length > 0
+        const childInfo = this.childObjectInfos[section.childObject];
+        section.childFields.forEach(fieldName => {
+            if (!Object.prototype.hasOwnProperty.call(incomingRow, fieldName)) {
+                return;
+            }
+            const fieldInfo = childInfo?.fields?.[fieldName];
+            const { value, error } = convertFieldValue(incomingRow[fieldName], fieldInfo, {
+                keyPrefixes: this.getLookupKeyPrefixes(fieldInfo)
+            });
+            if (error) {
+                issues[fieldName] = this.formatConversionIssue(incomingRow[fieldName], error);
+                return;
+            }
+            if (this.fieldHasValue(value)) {
+                values[fieldName] = value;
+            }
+        });
+        return { values, issues };
+    }
+
+    // Non-empty rows of visible Child Records sections, grouped for submitForm
+    // Visible Child Records sections with at least one filled row, in the order they are submitted
+    getChildSectionsForSave() {
+        return this.sectionSteps.filter(section => section.isChildSection
+            && !this.hiddenSections.has(section.sectionName)
+            && (this.childRows[section.sectionId] || []).some(row => this.childRowHasValues(row)));
+    }
+
+    getChildRecordsForSave() {
+        return this.getChildSectionsForSave()
+            .map(section => ({
+                childObject: section.childObject,
+                relationshipField: section.relationshipField,
+                records: (this.childRows[section.sectionId] || [])
+                    .filter(row => this.childRowHasValues(row))
+                    .map(row => {
+                        const record = {};
+                        Object.keys(row.values)
+                            .filter(fieldName => this.fieldHasValue(row.values[fieldName]))
+                            .forEach(fieldName => {
+                                record[fieldName] = row.values[fieldName];
+                            });
+                        return record;
+                    })
             }));
-            
-            this.updateStepProgress();
-        } else {
-            this.sectionSteps = [];
-        }
     }
-    
-    getSectionProgress(section) {
-        if (!section || !section.fieldComponents) {
-            return { completed: 0, total: 0, percentage: 0 };
+
+    getChildRowsForStorage() {
+        const stored = {};
+        Object.keys(this.childRows).forEach(sectionId => {
+            stored[sectionId] = this.childRows[sectionId].map(row => row.values);
+        });
+        return stored;
+    }
+
+    restoreChildRows(storedRows) {
+        const restored = {};
+        Object.keys(storedRows || {}).forEach(sectionId => {
+            restored[sectionId] = (storedRows[sectionId] || []).map(values => this.createChildRow({ ...values }));
+        });
+        this.childRows = restored;
+    }
+
+    isFieldVisible(fieldName) {
+        return !this.hiddenFields.has(fieldName);
+    }
+
+    // A field is hidden by its own rules or by its section's rules
+    refreshVisibility() {
+        if (this.visibilityRules.length === 0) {
+            return;
         }
-        
-        const filledFields = section.fieldComponents.filter(field => 
-            this.filledFields.has(field.apiName)
-        ).length;
-        
+
+        const getValue = fieldName => this.getCurrentFieldValue(fieldName);
+        const hiddenSections = new Set();
+        const hiddenFields = new Set();
+
+        this.sectionSteps.forEach(section => {
+            if (!isTargetVisible(this.visibilityRules, RULE_TARGET_TYPES.SECTION, section.sectionName, getValue)) {
+                hiddenSections.add(section.sectionName);
+                section.fieldComponents.forEach(field => hiddenFields.add(field.apiName));
+            }
+        });
+        this.fieldsArray.forEach(field => {
+            if (!isTargetVisible(this.visibilityRules, RULE_TARGET_TYPES.FIELD, field.apiName, getValue)) {
+                hiddenFields.add(field.apiName);
+            }
+        });
+
+        this.hiddenSections = hiddenSections;
+        this.hiddenFields = hiddenFields;
+    }
+
+    // Required comes from the object metadata (not nillable and no default on create)
+    isFieldRequired(fieldName) {
+        return !!this.objectInfo?.fields?.[fieldName]?.required;
+    }
+
+    getSectionRequiredStatus(section) {
+        const requiredFields = (section.fieldComponents || [])
+            .filter(field => this.isFieldVisible(field.apiName) && this.isFieldRequired(field.apiName));
         return {
-            completed: filledFields,
-            total: section.fieldComponents.length,
-            percentage: section.fieldComponents.length > 0 ? 
-                Math.round((filledFields / section.fieldComponents.length) * 100) : 0
+            total: requiredFields.length,
+            missing: requiredFields.filter(field => !this.filledFields.has(field.apiName)).length
         };
     }
-    
-    get sectionsWithProgress() {
-        return this.sectionSteps.map(section => ({
-            ...section,
-            progress: this.getSectionProgress(section),
-            isComplete: this.getSectionProgress(section).percentage === 100
-        }));
+
+    get missingRequiredFields() {
+        return this.fieldsArray
+            .filter(field => this.isFieldVisible(field.apiName)
+                && this.isFieldRequired(field.apiName)
+                && !this.filledFields.has(field.apiName))
+            .map(field => ({
+                fieldName: field.apiName,
+                fieldLabel: this.getFieldLabel(field.apiName),
+                sectionName: this.getSectionNameForField(field.apiName) || ''
+            }));
+    }
+
+    get showMissingRequiredSummary() {
+        return this.showValidationErrors && this.missingRequiredFields.length > 0;
     }
 
+    // Block Create/Update until every required field is filled
+    handleSubmit(event) {
+        const missing = this.missingRequiredFields;
+        if (missing.length === 0) {
+            this.showValidationErrors = false;
+            this.submitVisibleFields(event);
+            return;
+        }
 
+        event.preventDefault();
+        this.showValidationErrors = true;
+        missing.forEach(({ fieldName }) => {
+            const inputField = this.getInputField(fieldName);
+            if (inputField && typeof inputField.reportValidity === 'function') {
+                inputField.reportValidity();
+            }
+        });
+        this.showToast('Required fields missing', `Fill in ${missing.length} required field${missing.length === 1 ? '' : 's'} before saving.`, 'error');
+    }
 
+    // Values left in fields hidden by visibility rules are not saved
+    submitVisibleFields(event) {
+        const fields = { ...event.detail.fields };
+        const hiddenFieldNames = Object.keys(fields).filter(fieldName => this.hiddenFields.has(fieldName));
+        hiddenFieldNames.forEach(fieldName => {
+            delete fields[fieldName];
+        });
 
-    handleFieldChange(event) {
-        const fieldName = event.target.fieldName;
-        const value = event.target.value;
+        // Saved through submitForm rather than the record-edit-form so child rows and the draft commit with the record
+        event.preventDefault();
+        const childRecords = this.getChildRecordsForSave();
         
-        // Track filled fields (boolean false counts as filled)
-        if (typeof value === 'boolean') {
-            this.filledFields.add(fieldName);
-        } else if (value != null && value !== undefined && value !== '') {
-            this.filledFields.add(fieldName);
-        } else {
-            this.filledFields.delete(fieldName);
+        if (this.isUpdateMode) {
+            this.openUpdateReview(fields, childRecords);
+            return;
         }
         
-        this.filledFields = new Set(this.filledFields);
-        this.updateSingleFieldStyling(event.target);
-        this.updateStepProgress();
-        this.updateSectionProgress(fieldName);
+        this.checkForDuplicates(fields, childRecords);
+    }
+
+    // Voice forms often describe someone who already exists, so likely matches are offered before creating
+    async checkForDuplicates(fields, childRecords) {
+        if (this.isCheckingDuplicates) {
+            return;
+        }
+        this.isCheckingDuplicates = true;
+        let candidates = [];
+        try {
+            candidates = await findDuplicateRecords({
+                analysisId: this.selectedForm,
+                fieldsJson: JSON.stringify(fields)
+            });
+        } catch (error) {
+            // The check is advisory; a failure should not stop the record being created
+            console.error('Error checking for duplicates:', error);
+        } finally {
+            this.isCheckingDuplicates = false;
+        }
         
-        // Debounce save to session storage to avoid excessive writes
-        if (this._saveDataTimeout) {
-            clearTimeout(this._saveDataTimeout);
+        if (!candidates || candidates.length === 0) {
+            this.submitRecord(fields, childRecords);
+            return;
         }
-        this._saveDataTimeout = true;
         
-        Promise.resolve().then(() => {
-            if (this._saveDataTimeout) {
-                this._saveDataTimeout = false;
-                this.saveFormData();
-            }
+        this.duplicateCandidates = candidates.map(candidate => ({
+            ...candidate,
+            url: `/${candidate.id}`
+        }));
+        this.pendingCreate = { fields, childRecords };
+        this.showDuplicateModal = true;
+    }
+
+    get duplicateCountLabel() {
+        const count = this.duplicateCandidates.length;
+        return `${count} existing ${this.selectedObject} record${count === 1 ? '' : 's'}`;
+    }
+
+    handleDuplicateCancel() {
+        this.showDuplicateModal = false;
+        this.duplicateCandidates = [];
+        this.pendingCreate = null;
+    }
+
+    handleDuplicateCreateAnyway() {
+        const { fields, childRecords } = this.pendingCreate;
+        this.handleDuplicateCancel();
+        this.submitRecord(fields, childRecords);
+    }
+
+    // The existing record replaces the entered values; child rows are kept and added to it on update
+    handleDuplicateUseExisting(event) {
+        this.switchToExistingRecord(event.currentTarget.dataset.recordId, null);
+    }
+
+    // The entered values stay in the form and go through the update review against the existing record
+    handleDuplicateUpdateExisting(event) {
+        this.switchToExistingRecord(event.currentTarget.dataset.recordId, {
+            values: this.extractFieldValues(),
+            ...this.pendingCreate
         });
     }
-    
-    handleFieldFocus(event) {
-        const inputField = event.target.closest('lightning-input-field');
-        if (inputField) {
-            const fieldName = inputField.fieldName || inputField.dataset.fieldName;
-            
-            if (fieldName) {
-                this.setActiveSectionByField(fieldName);
-            }
-        }
+
+    switchToExistingRecord(recordId, keptSubmission) {
+        this.handleDuplicateCancel();
+        this.pendingRecordSwitch = { recordId, keptSubmission };
+        this.isUpdateMode = true;
+        this.recordIdToUpdate = recordId;
+        this.recordBaseline = null;
     }
-    
-    handleTemplateClick(event) {
-        const sectionItem = event.target.closest('.slds-progress__item');
-        if (sectionItem) {
-            return;
-        }
-        
-        const inputField = event.target.closest('lightning-input-field');
-        if (inputField) {
+
+    handleFormLoad() {
+        const recordSwitch = this.pendingRecordSwitch;
+        if (!recordSwitch || recordSwitch.recordId !== this.recordIdToUpdate) {
             return;
         }
+        this.pendingRecordSwitch = null;
         
-        this.clearAllActiveHighlights();
+        // Input fields take the loaded record's values after this handler returns
+        Promise.resolve().then(() => {
+            const kept = recordSwitch.keptSubmission;
+            if (kept) {
+                this.template.querySelectorAll(FORM_FIELD_SELECTOR).forEach(inputField => {
+                    if (inputField.fieldName in kept.values) {
+                        inputField.value = kept.values[inputField.fieldName];
+                    }
+                });
+                this.openUpdateReview(kept.fields, kept.childRecords);
+            } else {
+                this.adoptLoadedRecordValues();
+            }
+            this.updateStepProgress();
+            this.updateIndividualFieldStyling();
+            this.saveFormData();
+        });
     }
-    
-    clearAllActiveHighlights() {
+
+    // Form state follows the existing record's values; earlier sources and undo steps describe values that are gone
+    adoptLoadedRecordValues() {
+        const values = this.extractFieldValues();
+        this.filledFields = new Set(Object.keys(values).filter(fieldName => this.fieldHasValue(values[fieldName])));
+        this.fieldSources = {};
+        this.aiSuggestions = {};
+        this.conversionIssues = {};
+        this.lookupChoices = {};
+        this.history.clear();
+        this.lastKnownValues = { ...values };
+        this.refreshHistoryState();
+        this.showToast('Using existing record', `The form now updates this ${this.selectedObject} record.`, 'info');
+    }
+
+    async submitRecord(fields, childRecords) {
+        this.isCreating = true;
+        this.clearSubmitErrors();
         try {
-            const allNavSections = this.template.querySelectorAll('.slds-progress__item');
-            allNavSections.forEach(section => {
-                section.classList.remove('progress-step-active');
-            });
+            // A late autosave must not land after the record exists; any write in flight finishes first
+            await this.autosave.stop();
             
-            this.sectionSteps = this.sectionSteps.map(section => ({
-                ...section,
-                isActive: false
-            }));
+            const result = await submitForm({
+                submissionJson: JSON.stringify({
+                    objectName: this.selectedObject,
+                    recordId: this.isUpdateMode ? this.recordIdToUpdate : null,
+                    recordTypeId: this.effectiveRecordTypeId,
+                    fields: fields,
+                    childRecords: childRecords,
+                    draft: this.buildDraftFormData(this.generateDraftExternalFormId()) // Reuses a draft already holding voice data for this form
+                })
+            });
             
+            if (result.success) {
+                this.handleSuccess();
+            } else {
+                this.handleSubmitErrors(result);
+            }
         } catch (error) {
-            console.error('Error clearing active highlights:', error);
+            console.error('Error submitting form:', error);
+            this.autosave = this.createAutosave();
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isCreating = false;
         }
     }
-    
-    setActiveSectionByField(fieldName) {
-        const sectionWithField = this.sectionSteps.find(section => 
-            section.fieldComponents && section.fieldComponents.some(field => field.apiName === fieldName)
+
+    // Nothing was saved; autosave resumes so the agent's corrections still reach the draft
+    handleSubmitErrors(result) {
+        this.autosave = this.createAutosave();
+        this.applySubmitErrors(result.fieldErrors || [], result.pageErrors || []);
+    }
+
+    // Errors on form fields are shown under the field; child row errors and errors on fields outside the form
+    // are listed above the form, and every section holding an error is flagged in the nav
+    applySubmitErrors(fieldErrors, pageErrors) {
+        const childSections = this.getChildSectionsForSave();
+        const formFieldNames = new Set(this.fieldsArray.map(field => field.apiName));
+        const fieldMessages = {};
+        const messages = [...pageErrors];
+        const sectionCounts = {};
+        const countSection = sectionName => {
+            if (sectionName) {
+                sectionCounts[sectionName] = (sectionCounts[sectionName] || 0) + 1;
+            }
+        };
+
+        fieldErrors.forEach(error => {
+            if (error.childGroup != null) {
+                const section = childSections[error.childGroup];
+                const rowLabel = error.rowIndex != null ? `Row ${error.rowIndex + 1}` : 'Row';
+                messages.push(`${section ? `${section.sectionName}, ` : ''}${rowLabel}: ${error.fieldName}: ${error.message}`);
+                countSection(section?.sectionName);
+                return;
+            }
+            if (!formFieldNames.has(error.fieldName)) {
+                messages.push(`${this.getFieldLabel(error.fieldName)}: ${error.message}`);
+                return;
+            }
+            fieldMessages[error.fieldName] = fieldMessages[error.fieldName]
+                ? `${fieldMessages[error.fieldName]} ${error.message}`
+                : error.message;
+        });
+
+        Object.keys(fieldMessages).forEach(fieldName => countSection(this.getSectionNameForField(fieldName)));
+
+        this.submitFieldErrors = fieldMessages;
+        this.submitPageErrors = messages;
+        this.sectionSubmitErrors = sectionCounts;
+
+        const errorCount = Object.keys(fieldMessages).length + messages.length;
+        this.showToast('Record not saved', `Fix ${errorCount} error${errorCount === 1 ? '' : 's'} and save again.`, 'error');
+        this.scrollToFirstSubmitError();
+    }
+
+    getSectionNameForField(fieldName) {
+        const section = this.sectionSteps.find(step =>
+            step.fieldComponents.some(component => component.apiName === fieldName)
         );
-        
-        if (sectionWithField) {
-            this.setActiveSection(sectionWithField.sectionId);
-            this.highlightNavigationSection(sectionWithField.sectionId);
+        return section ? section.sectionName : null;
+    }
+
+    // Waits a render so the error messages are in place before scrolling
+    scrollToFirstSubmitError() {
+        const orderedFieldNames = this.sectionSteps.length > 0
+            ? this.sectionSteps.flatMap(section => section.fieldComponents.map(field => field.apiName))
+            : this.fieldsArray.map(field => field.apiName);
+        const firstFieldName = orderedFieldNames.find(fieldName => this.submitFieldErrors[fieldName]);
+
+        Promise.resolve().then(() => {
+            if (firstFieldName) {
+                this.scrollToField(firstFieldName);
+                return;
+            }
+            const summary = this.template.querySelector('.submit-error-summary');
+            if (summary) {
+                summary.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        });
+    }
+
+    clearSubmitError(fieldName) {
+        if (!this.submitFieldErrors[fieldName]) {
+            return;
+        }
+        const remaining = { ...this.submitFieldErrors };
+        delete remaining[fieldName];
+        this.submitFieldErrors = remaining;
+
+        const sectionName = this.getSectionNameForField(fieldName);
+        if (sectionName && this.sectionSubmitErrors[sectionName]) {
+            const counts = { ...this.sectionSubmitErrors };
+            counts[sectionName] -= 1;
+            if (counts[sectionName] === 0) {
+                delete counts[sectionName];
+            }
+            this.sectionSubmitErrors = counts;
         }
     }
-    
-    highlightNavigationSection(sectionId) {
+
+    clearSubmitErrors() {
+        this.submitFieldErrors = {};
+        this.submitPageErrors = [];
+        this.sectionSubmitErrors = {};
+    }
+
+    get hasSubmitPageErrors() {
+        return this.submitPageErrors.length > 0;
+    }
+
+    get submitPageErrorList() {
+        return this.submitPageErrors.map((message, index) => ({ key: `submit-error-${index}`, message: message }));
+    }
+
+    // Update mode overwrites an existing record, so the agent confirms each changed field first
+    // Fields changed on the record since this form saved it are a three-way merge: they start unticked so the
+    // newer value is kept unless the agent chooses the form's value
+    async openUpdateReview(fields, childRecords) {
         try {
-            const allNavSections = this.template.querySelectorAll('.slds-progress__item');
-            allNavSections.forEach(section => {
-                section.classList.remove('progress-step-active');
-            });
+            const currentValues = await this.getCurrentRecordValues(Object.keys(fields));
+            const changedOnRecord = new Set(this.getFieldsChangedSinceBaseline(currentValues));
             
-            const targetNavSection = this.template.querySelector(`[data-section-id="${sectionId}"]`);
-            if (targetNavSection) {
-                
-                targetNavSection.classList.add('progress-step-active');
+            this.updateChanges = Object.keys(fields)
+                .filter(fieldName => !this.isSameRecordValue(currentValues[fieldName], fields[fieldName]))
+                .map(fieldName => {
+                    const source = this.fieldSources[fieldName]?.source;
+                    const savedValue = this.recordBaseline?.values?.[fieldName];
+                    const isChangedOnRecord = changedOnRecord.has(fieldName);
+                    const isEditedInForm = !this.isSameRecordValue(savedValue, fields[fieldName]);
+                    let mergeLabel = '';
+                    if (isChangedOnRecord) {
+                        mergeLabel = isEditedInForm ? 'Conflict' : 'Changed on record';
+                    }
+                    return {
+                        fieldName: fieldName,
+                        fieldLabel: this.getFieldLabel(fieldName),
+                        savedValue: this.formatReviewValue(savedValue),
+                        oldValue: this.formatReviewValue(currentValues[fieldName]),
+                        newValue: this.formatReviewValue(fields[fieldName]),
+                        sourceLabel: source ? FIELD_SOURCE_LABELS[source] || source : '',
+                        mergeLabel: mergeLabel,
+                        selected: !isChangedOnRecord
+                    };
+                });
+            
+            if (this.updateChanges.length === 0 && childRecords.length === 0) {
+                this.showToast('No changes', `Nothing on this ${this.selectedObject} record has changed.`, 'info');
+                return;
             }
+            
+            this.pendingUpdate = { fields, childRecords };
+            this.showUpdateReviewModal = true;
         } catch (error) {
-            console.error('Error highlighting navigation section:', error);
+            console.error('Error loading current record values:', error);
+            this.showToast('Error', this.getErrorMessage(error), 'error');
         }
     }
-    
-    updateSectionProgress(changedFieldName) {
-        this.sectionSteps = this.sectionSteps.map(section => {
-            const fieldBelongsToSection = section.fieldComponents.some(
-                field => field.apiName === changedFieldName
-            );
-            
-            if (fieldBelongsToSection) {
-                const progress = this.getSectionProgress(section);
-                return {
-                    ...section,
-                    completionPercentage: progress.percentage,
-                    completedFields: progress.completed,
-                    isCompleted: progress.percentage === 100
-                };
-            }
-            
-            return section;
+
+    async getCurrentRecordValues(fieldNames) {
+        return getRecordValues({
+            objectName: this.selectedObject,
+            recordId: this.recordIdToUpdate,
+            fieldNames: [...fieldNames, LAST_MODIFIED_FIELD]
         });
     }
-    
-    handleSectionClick(event) {
-        const sectionId = event.currentTarget.dataset.sectionId;        
-        this.focusOnSection(sectionId);
-        this.setActiveSection(sectionId);
-        this.highlightNavigationSection(sectionId);
-    }
-    
-    handleSectionKeyDown(event) {
-        if (event.key === 'Enter' || event.key === ' ') {
-            event.preventDefault();
-            const sectionId = event.currentTarget.dataset.sectionId;
-            
-            this.focusOnSection(sectionId);
-            this.setActiveSection(sectionId);
-            this.highlightNavigationSection(sectionId);
+
+    // Fields whose current value differs from the baseline; nothing when the record has not been modified since
+    getFieldsChangedSinceBaseline(currentValues) {
+        const baseline = this.recordBaseline;
+        if (!baseline || !baseline.lastModifiedDate || currentValues[LAST_MODIFIED_FIELD] === baseline.lastModifiedDate) {
+            return [];
         }
+        return Object.keys(baseline.values || {}).filter(fieldName =>
+            Object.prototype.hasOwnProperty.call(currentValues, fieldName)
+            && !this.isSameRecordValue(baseline.values[fieldName], currentValues[fieldName])
+        );
     }
-    
-    focusOnSection(sectionId) {
+
+    // Warn as soon as an update-mode draft opens, before the agent starts editing stale values
+    async checkConcurrentEdits() {
+        if (!this.recordBaseline || !this.recordIdToUpdate) {
+            return;
+        }
         try {
-            const targetSection = this.template.querySelector(`[data-section-id="${sectionId}"].section-container`);
-            
-            if (targetSection) {
-                targetSection.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'start',
-                    inline: 'nearest'
-                });
-                
-                targetSection.classList.add('section-focused');
-                const onAnimationEnd = () => {
-                    targetSection.classList.remove('section-focused');
-                    targetSection.removeEventListener('animationend', onAnimationEnd);
-                };
-                targetSection.addEventListener('animationend', onAnimationEnd);
+            const currentValues = await this.getCurrentRecordValues(Object.keys(this.recordBaseline.values || {}));
+            const changedFields = this.getFieldsChangedSinceBaseline(currentValues);
+            if (changedFields.length > 0) {
+                const labels = changedFields.map(fieldName => this.getFieldLabel(fieldName)).join(', ');
+                this.showToast(
+                    'Record changed since it was saved',
+                    `${labels} changed on the ${this.selectedObject} record after this form saved it. You can choose which values to keep before updating.`,
+                    'warning'
+                );
             }
         } catch (error) {
-            console.error('Error focusing on section:', error);
+            console.error('Error checking for concurrent edits:', error);
         }
     }
-    
-    setActiveSection(sectionId) {
-        try {
-            this.sectionSteps = this.sectionSteps.map(section => ({
-                ...section,
-                isActive: section.sectionId === sectionId
-            }));
-            
-        } catch (error) {
-            console.error('Error setting active section:', error);
+
+    isSameRecordValue(currentValue, newValue) {
+        const isBlank = value => value === null || value === undefined || value === '';
+        if (isBlank(currentValue) || isBlank(newValue)) {
+            return isBlank(currentValue) && isBlank(newValue);
+        }
+        // Numbers may come back as 10 from the server and "10.00" from the form
+        if (typeof currentValue === 'number' || typeof newValue === 'number') {
+            return Number(currentValue) === Number(newValue);
         }
+        return String(currentValue) === String(newValue);
     }
 
-    // Section is complete only when ALL fields are filled
-    checkStepCompletion(instruction) {
-        const stepFields = instruction.fields || [];
-        return stepFields.length > 0 && stepFields.every(field => this.filledFields.has(field));
+    formatReviewValue(value) {
+        return value === null || value === undefined || value === '' ? '(blank)' : this.formatSuggestionValue(value);
+    }
+
+    get updateChildRowCount() {
+        return this.pendingUpdate ? this.pendingUpdate.childRecords.reduce((count, group) => count + group.records.length, 0) : 0;
+    }
+
+    get hasUpdateChanges() {
+        return this.updateChanges.length > 0;
+    }
+
+    get hasRecordBaseline() {
+        return !!this.recordBaseline;
+    }
+
+    get concurrentChangeCount() {
+        return this.updateChanges.filter(change => change.mergeLabel).length;
+    }
+
+    get selectedUpdateCount() {
+        return this.updateChanges.filter(change => change.selected).length;
+    }
+
+    get cannotConfirmUpdate() {
+        return this.selectedUpdateCount === 0 && this.updateChildRowCount === 0;
+    }
+
+    get updateConfirmLabel() {
+        return `Update ${this.selectedUpdateCount} Field${this.selectedUpdateCount === 1 ? '' : 's'}`;
+    }
+
+    handleUpdateChangeToggle(event) {
+        const fieldName = event.target.dataset.fieldName;
+        const selected = event.target.checked;
+        this.updateChanges = this.updateChanges.map(change => (
+            change.fieldName === fieldName ? { ...change, selected } : change
+        ));
+    }
+
+    handleUpdateReviewCancel() {
+        this.showUpdateReviewModal = false;
+        this.updateChanges = [];
+        this.pendingUpdate = null;
+    }
+
+    // Deselected changes are left out of the save so the record keeps its current value
+    handleUpdateReviewConfirm() {
+        const { fields, childRecords } = this.pendingUpdate;
+        const fieldsToSave = { ...fields };
+        this.updateChanges
+            .filter(change => !change.selected)
+            .forEach(change => {
+                delete fieldsToSave[change.fieldName];
+            });
+        
+        this.handleUpdateReviewCancel();
+        this.submitRecord(fieldsToSave, childRecords);
+    }
+
+    handleJumpToField(event) {
+        this.scrollToField(event.detail.fieldName);
+    }
+
+    scrollToField(fieldName) {
+        const inputField = this.getInputField(fieldName);
+        if (!inputField) {
+            return;
+        }
+
+        this.setActiveSectionByField(fieldName);
+        inputField.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        inputField.focus();
     }
 
     updateStepProgress() {
+        // Hidden fields do not count toward progress, so visibility is settled first
+        this.refreshVisibility();
+        
         if (!this.sectionSteps || this.sectionSteps.length === 0) {
             return;
         }
@@ -773,14 +3036,11 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         this.updateCompletedSteps();
         
         this.sectionSteps = this.sectionSteps.map((instruction) => {
-            const completedFieldsCount = instruction.fields.filter(field => 
-                this.filledFields.has(field)
-            ).length;
+            const progress = this.getSectionProgress(instruction);
+            const completedFieldsCount = progress.completed;
             
             const isCompleted = this.completedSteps.has(instruction.id);
-            const completionPercentage = instruction.totalFields > 0 
-                ? Math.round((completedFieldsCount / instruction.totalFields) * 100) 
-                : 0;
+            const completionPercentage = progress.percentage;
             
             return {
                 ...instruction,
@@ -811,101 +3071,60 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         this.completedSteps = new Set(this.completedSteps);
     }
 
-    async handleSuccess(event) {
-        const recordId = event.detail.id;
-        
+    // The server has already stored the form on its draft and marked it Created
+    handleSuccess() {
         this.clearFormData();
         
-        if (this.isUpdateMode) {
-            await this.updateDraftWithCurrentFormData();
-            this.showToast('Success', `${this.selectedObject} record updated successfully!`, 'success');
-        } else {
-            if (this.isEditingDraft && this.draftRecordId) {
-                await this.updateDraftStatusToCreated(recordId);
-            } else {
-                await this.createDraftForReference(recordId);
-            }
-            
-            this.showToast('Success', `${this.selectedObject} record created successfully!`, 'success');
-        }
+        const action = this.isUpdateMode ? 'updated' : 'created';
+        this.showToast('Success', `${this.selectedObject} record ${action} successfully!`, 'success');
         
         this.handleCancelConfirmed();
     }
 
-    async updateDraftStatusToCreated(createdRecordId) {
-        try {
-            if (this.draftRecordId) {
-                await updateDraftStatus({ 
-                    draftId: this.draftRecordId, 
-                    createdRecordId: createdRecordId 
-                });
-            }
-        } catch (error) {
-            console.error('Error updating draft status:', error);
-        }
+    // Common payload for DraftForm__c.Form_Data_JSON__c
+    buildDraftFormData(externalFormId) {
+        return {
+            externalFormId: externalFormId,
+            formId: this.selectedForm,
+            sourceRecordId: this.sourceRecordId,
+            formName: this.selectedFormName,
+            objectName: this.selectedObject,
+            fieldValues: this.extractFieldValues(),
+            filledFields: Array.from(this.filledFields),
+            fieldSources: this.fieldSources,
+            progress: this.progressValue,
+            totalFields: this.fieldsArray.length,
+            recordTypeId: this.recordTypeId,
+            isEditMode: this.isEditMode,
+            contactId: this.contactId,
+            callRecordId: this.callRecordId,
+            appliedIncomingDataIds: this.appliedIncomingDataIds,
+            childRows: this.getChildRowsForStorage(),
+            recordBaseline: this.recordBaseline,
+            transcriptSnippets: this.getTranscriptSnippets(),
+            handledBookmarkIds: Array.from(this.handledBookmarkIds),
+            reviewedSections: Array.from(this.reviewedSections),
+            bookmarkNotes: this.bookmarkNotes,
+            agentEditSequence: this.agentEditSequence,
+            timestamp: Date.now()
+        };
     }
 
-    // Create draft record to link completed form with created Salesforce record
-    async createDraftForReference(createdRecordId) {
-        try {
-            const formData = {
-                externalFormId: this.generateUniqueFormId(), // Generate unique ID for this reference draft
-                formId: this.selectedForm,
-                sourceRecordId: this.sourceRecordId,
-                formName: this.selectedFormName,
-                objectName: this.selectedObject,
-                fieldValues: this.extractFieldValues(),
-                filledFields: Array.from(this.filledFields),
-                progress: this.progressValue, // Use actual calculated progress percentage
-                totalFields: this.fieldsArray.length,
-                recordTypeId: this.recordTypeId,
-                isEditMode: this.isEditMode,
-                contactId: this.contactId,
-                timestamp: Date.now(),
-                status: 'Created',
-                createdRecordId: createdRecordId
-            };
-
-            const draftId = await saveDraftForm({ formDataJson: JSON.stringify(formData) });
-            
-            await updateDraftStatus({ 
-                draftId: draftId, 
-                createdRecordId: createdRecordId 
+    // Errors raised by the record-edit-form itself, e.g. when the record to update fails to load
+    handleError(event) {
+        const detail = event.detail || {};
+        const output = detail.output || {};
+        const fieldErrors = [];
+        Object.keys(output.fieldErrors || {}).forEach(fieldName => {
+            (output.fieldErrors[fieldName] || []).forEach(error => {
+                fieldErrors.push({ fieldName: fieldName, message: error.message });
             });
-
-        } catch (error) {
-            console.error('Error creating reference draft:', error);
-        }
-    }
-
-    async updateDraftWithCurrentFormData() {
-        try {
-            if (this.isEditingDraft && this.draftRecordId) {
-                const formData = {
-                    externalFormId: this.draftExternalFormId,
-                    formId: this.selectedForm,
-                    sourceRecordId: this.sourceRecordId,
-                    formName: this.selectedFormName,
-                    objectName: this.selectedObject,
-                    fieldValues: this.extractFieldValues(),
-                    filledFields: Array.from(this.filledFields),
-                    progress: this.progressValue,
-                    totalFields: this.fieldsArray.length,
-                    recordTypeId: this.recordTypeId,
-                    isEditMode: this.isEditMode,
-                    contactId: this.contactId,
-                    timestamp: Date.now()
-                };
-
-                await saveDraftForm({ formDataJson: JSON.stringify(formData) });
-            }
-        } catch (error) {
-            console.error('Error updating draft with current form data:', error);
+        });
+        const pageErrors = (output.errors || []).map(error => error.message);
+        if (fieldErrors.length === 0 && pageErrors.length === 0) {
+            pageErrors.push(detail.detail || detail.message || 'The record could not be saved.');
         }
-    }
-
-    handleError(event) {
-        console.error('Create error', event.detail);
+        this.applySubmitErrors(fieldErrors, pageErrors);
     }
 
 
@@ -917,6 +3136,7 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
 
     handleCancelConfirmed() {
         this.showCancelModal = false;
+        this.autosave.stop();
         this.clearFormData();
         this.navigateBack();
     }
@@ -932,21 +3152,9 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
                 return;
             }
 
-            const formData = {
-                externalFormId: this.draftExternalFormId || this.generateDraftExternalFormId(),
-                formId: this.selectedForm,
-                sourceRecordId: this.sourceRecordId,
-                formName: this.selectedFormName,
-                objectName: this.selectedObject,
-                fieldValues: this.extractFieldValues(),
-                filledFields: Array.from(this.filledFields),
-                progress: this.progressValue,
-                totalFields: this.fieldsArray.length,
-                recordTypeId: this.recordTypeId,
-                isEditMode: this.isEditMode,
-                contactId: this.contactId,
-                timestamp: Date.now()
-            };
+            // Let a background save that is already running finish so both writes hit the same draft
+            await this.flushAutosave();
+            const formData = this.buildDraftFormData(this.draftExternalFormId || this.generateDraftExternalFormId());
 
             const draftId = await saveDraftForm({ formDataJson: JSON.stringify(formData) });
             
@@ -967,6 +3175,7 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
     }
 
     async loadFormFromDraft() {
+        this.isRestoringDraft = true;
         try {
             if (!this.draftRecordId) {
                 console.error('No draft record ID provided');
@@ -985,26 +3194,38 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
             this.externalFormId = formData.externalFormId || 'default';
             this.draftExternalFormId = formData.externalFormId;
             this.contactId = formData.contactId;
+            this.callRecordId = draftRecord.Task_ID__c || formData.callRecordId || null;
             this.isEditMode = formData.isEditMode || false;
 
             await this.loadObjectFieldsData();
+            this.recordBaseline = formData.recordBaseline || null;
             
             if (formData.fieldValues) {
                 this.filledFields = new Set(formData.filledFields || []);
                 await Promise.resolve();
                 this.populateFieldsFromDraftData(formData);
             }
+            
+            this.queueStoredFieldValues(formData.incomingData);
+            
+            if (this.isUpdateMode) {
+                this.checkConcurrentEdits();
+            }
 
         } catch (error) {
             console.error('Error loading draft:', error);
             this.showToast('Error', 'Failed to load draft: ' + this.getErrorMessage(error), 'error');
             this.navigateBack();
+        } finally {
+            this.isRestoringDraft = false;
+            this.announcePresence();
+            this.markFieldsReady();
         }
     }
 
     populateFieldsFromDraftData(formData) {
         try {
-            const inputFields = this.template.querySelectorAll('lightning-input-field');
+            const inputFields = this.template.querySelectorAll(FORM_FIELD_SELECTOR);
             const fieldValues = formData.fieldValues || {};
             
             inputFields.forEach(field => {
@@ -1014,6 +3235,12 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
                 }
             });
             
+            this.mergeTranscript(formData.transcriptSnippets);
+            this.restoreBookmarkState(formData);
+            this.agentEditSequence = Math.max(this.agentEditSequence, formData.agentEditSequence || 0);
+            this.restoreFieldSources(formData.fieldSources, fieldValues, FIELD_SOURCES.DRAFT);
+            this.restoreChildRows(formData.childRows);
+            this.recordRestoredValues(fieldValues, FIELD_SOURCES.DRAFT);
             this.updateStepProgress();
             
             Promise.resolve().then(() => {
@@ -1029,7 +3256,11 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         return 'form_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    // Drafts share the live form's external ID so voice data for this form can be stored on them
     generateDraftExternalFormId() {
+        if (!this.draftExternalFormId && this.externalFormId && this.externalFormId !== 'default') {
+            this.draftExternalFormId = this.externalFormId;
+        }
         if (!this.draftExternalFormId) {
             this.draftExternalFormId = `draft_${this.selectedForm}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         }
@@ -1049,6 +3280,7 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         try {
             this.showDeleteModal = false;
 
+            await this.autosave.stop();
             await deleteDraftForm({ draftId: this.draftRecordId });
             
             this.isEditingDraft = false;
@@ -1103,6 +3335,18 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         this.resetFormState();
     }
 
+    get cannotUndo() {
+        return !this.canUndo;
+    }
+
+    get cannotRedo() {
+        return !this.canRedo;
+    }
+
+    get cannotRevertAiBatch() {
+        return !this.canRevertAiBatch;
+    }
+
     get cardTitle() {
         return 'Dynamic Record Creator';
     }
@@ -1111,6 +3355,10 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         return this.sectionSteps && this.sectionSteps.length > 0;
     }
 
+    get hasPendingSuggestions() {
+        return Object.keys(this.pendingSuggestions).length > 0;
+    }
+
     get createButtonLabel() {
         if (this.isUpdateMode) {
             return this.selectedObject ? `Update ${this.selectedObject}` : 'Update Record';
@@ -1119,34 +3367,53 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
     }
 
     get progressSteps() {
-        return this.sectionSteps.map(section => {
-            const progress = this.getSectionProgress(section);
-            const isCompleted = progress.percentage === 100;
-            const hasAnyFilledFields = progress.completed > 0;
-            const isActive = section.isActive || hasAnyFilledFields;
-            
-            return {
-                ...section,
-                text: section.sectionName,
-                isCompleted: isCompleted,
-                isActive: isActive && !isCompleted, // Active only if has fields but not completed
-                completedFields: progress.completed,
-                totalFields: progress.total,
-                cssClass: isCompleted
-                    ? 'slds-progress__item slds-is-completed progress-step-clickable' 
-                    : isActive 
-                        ? 'slds-progress__item slds-is-active progress-step-clickable'
-                        : 'slds-progress__item progress-step-clickable'
-            };
-        });
+        return this.sectionSteps
+            .filter(section => !this.hiddenSections.has(section.sectionName))
+            .map(section => {
+                const progress = this.getSectionProgress(section);
+                const required = this.getSectionRequiredStatus(section);
+                const submitErrorCount = this.sectionSubmitErrors[section.sectionName] || 0;
+                const isCompleted = progress.percentage === 100;
+                const hasAnyFilledFields = progress.completed > 0;
+                const isActive = section.isActive || hasAnyFilledFields;
+                
+                return {
+                    ...section,
+                    text: section.sectionName,
+                    isCompleted: isCompleted,
+                    isActive: isActive && !isCompleted, // Active only if has fields but not completed
+                    completedFields: progress.completed,
+                    totalFields: progress.total,
+                    hasRequiredFields: required.total > 0,
+                    hasMissingRequired: required.missing > 0,
+                    requiredLabel: required.missing > 0 ? `${required.missing} required` : 'Required done',
+                    requiredTitle: `${required.total - required.missing} of ${required.total} required fields filled`,
+                    requiredBadgeClass: required.missing > 0
+                        ? `slds-badge required-badge${this.showValidationErrors ? ' required-badge_error' : ''}`
+                        : 'slds-badge required-badge required-badge_done',
+                    isReviewed: this.reviewedSections.has(section.sectionName),
+                    hasSubmitErrors: submitErrorCount > 0,
+                    submitErrorLabel: `${submitErrorCount} error${submitErrorCount === 1 ? '' : 's'}`,
+                    cssClass: isCompleted
+                        ? 'slds-progress__item slds-is-completed progress-step-clickable' 
+                        : isActive 
+                            ? 'slds-progress__item slds-is-active progress-step-clickable'
+                            : 'slds-progress__item progress-step-clickable'
+                };
+            });
+    }
+
+    // Flat (no sections) layout fields with source badge details
+    get fieldsWithSource() {
+        return this.fieldsArray.map(field => this.decorateFieldComponent(field));
     }
 
     get totalFields() { 
-        return this.fieldsArray.length; 
+        return this.fieldsArray.filter(field => this.isFieldVisible(field.apiName)).length; 
     }
     
     get filledCount() { 
-        return this.filledFields.size; 
+        return [...this.filledFields].filter(fieldName => this.isFieldVisible(fieldName)).length; 
     }
     
     get progressValue() {
@@ -1164,7 +3431,7 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
     
     extractFieldValues() {
         const fieldValues = {};
-        const inputFields = this.template.querySelectorAll('lightning-input-field');
+        const inputFields = this.template.querySelectorAll(FORM_FIELD_SELECTOR);
         inputFields.forEach(field => {
             if (field.value != null) {
                 fieldValues[field.fieldName] = field.value;
@@ -1182,10 +3449,18 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
                 formId: this.selectedForm,
                 externalFormId: this.externalFormId, // New field for unique form instances
                 isEditMode: this.isEditMode, // Mode tracking
+                callRecordId: this.callRecordId,
                 recordTypeId: this.recordTypeId,
                 objectApiName: this.selectedObject,
                 fieldValues: this.extractFieldValues(),
                 filledFields: Array.from(this.filledFields), // Save which fields were actually filled by user
+                fieldSources: this.fieldSources,
+                childRows: this.getChildRowsForStorage(),
+                transcriptSnippets: this.getTranscriptSnippets(),
+                handledBookmarkIds: Array.from(this.handledBookmarkIds),
+                reviewedSections: Array.from(this.reviewedSections),
+                bookmarkNotes: this.bookmarkNotes,
+                agentEditSequence: this.agentEditSequence,
                 creationTime: this.getFormCreationTime(),
                 timestamp: Date.now(), // Last modified time
                 formName: this.selectedFormName,
@@ -1198,6 +3473,101 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         } catch (error) {
             console.error('Error saving form data:', error);
         }
+        
+        if (this.canAutosave) {
+            this.autosave.schedule();
+        }
+    }
+    
+    createAutosave() {
+        return new DraftAutosave(
+            () => this.autosaveDraft(),
+            (status, savedAt, error) => {
+                this.autosaveStatus = status;
+                this.autosaveSavedAt = savedAt;
+                this.autosaveError = error ? this.getErrorMessage(error) : null;
+            }
+        );
+    }
+    
+    // Update mode edits a Created draft's record, and nothing is worth a draft until the agent has entered something
+    get canAutosave() {
+        return !!(this.selectedForm && this.selectedObject && this.fieldsReady
+            && !this.isRestoringDraft && !this.isUpdateMode
+            && (this.isEditingDraft || this.filledFields.size > 0));
+    }
+    
+    async autosaveDraft() {
+        const formData = this.buildDraftFormData(this.draftExternalFormId || this.generateDraftExternalFormId());
+        const draftId = await autosaveDraftForm({ formDataJson: JSON.stringify(formData) });
+        
+        // The first autosave creates the draft; later saves and the submit then reuse it
+        if (draftId && !this.isEditingDraft) {
+            this.draftRecordId = draftId;
+            this.isEditingDraft = true;
+        }
+    }
+    
+    flushAutosave() {
+        return this.canAutosave ? this.autosave.flush() : Promise.resolve();
+    }
+    
+    handlePageHide(event) {
+        if (event.type === 'beforeunload' || document.visibilityState === 'hidden') {
+            this.flushAutosave();
+        }
+    }
+    
+    handleOnline() {
+        if (this.autosaveStatus === AUTOSAVE_STATUS.OFFLINE) {
+            this.flushAutosave();
+        }
+    }
+    
+    get showAutosaveStatus() {
+        return this.autosaveStatus !== AUTOSAVE_STATUS.IDLE;
+    }
+    
+    get autosaveStatusLabel() {
+        switch (this.autosaveStatus) {
+            case AUTOSAVE_STATUS.PENDING:
+                return 'Unsaved changes';
+            case AUTOSAVE_STATUS.SAVING:
+                return 'Saving…';
+            case AUTOSAVE_STATUS.OFFLINE:
+                return 'Offline';
+            case AUTOSAVE_STATUS.ERROR:
+                return 'Not saved';
+            case AUTOSAVE_STATUS.SAVED:
+                // A clock time stays true without re-rendering, unlike "10s ago"
+                return `Saved at ${new Date(this.autosaveSavedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+            default:
+                return '';
+        }
+    }
+    
+    get autosaveStatusIcon() {
+        switch (this.autosaveStatus) {
+            case AUTOSAVE_STATUS.SAVED:
+                return 'utility:success';
+            case AUTOSAVE_STATUS.OFFLINE:
+                return 'utility:offline';
+            case AUTOSAVE_STATUS.ERROR:
+                return 'utility:error';
+            default:
+                return 'utility:sync';
+        }
+    }
+    
+    get autosaveStatusTitle() {
+        switch (this.autosaveStatus) {
+            case AUTOSAVE_STATUS.OFFLINE:
+                return 'The draft could not reach the server. Changes are kept in this browser and saving is retried.';
+            case AUTOSAVE_STATUS.ERROR:
+                return `The draft could not be saved: ${this.autosaveError}`;
+            default:
+                return 'Drafts save automatically';
+        }
     }
     
     // Restore form data from session storage after page refresh
@@ -1217,17 +3587,23 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
                     
                     Promise.resolve().then(() => {
                         this.populateFieldsFromStorage(sessionData);
+                        this.markFieldsReady();
                     });
+                    return;
                 }
             }
         } catch (error) {
             console.error('Error loading form data:', error);
         }
+        
+        Promise.resolve().then(() => {
+            this.markFieldsReady();
+        });
     }
     
     // Populate form fields from restored session data (handles all data types including boolean false)
     populateFieldsFromStorage(sessionData) {
-        const inputFields = this.template.querySelectorAll('lightning-input-field');
+        const inputFields = this.template.querySelectorAll(FORM_FIELD_SELECTOR);
         const fieldValues = sessionData.fieldValues || {};
         const savedFilledFields = sessionData.filledFields || [];
         
@@ -1239,6 +3615,15 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         });
         
         this.filledFields = new Set(savedFilledFields);
+        if (!this.callRecordId && sessionData.callRecordId) {
+            this.callRecordId = sessionData.callRecordId;
+        }
+        this.mergeTranscript(sessionData.transcriptSnippets);
+        this.restoreBookmarkState(sessionData);
+        this.agentEditSequence = Math.max(this.agentEditSequence, sessionData.agentEditSequence || 0);
+        this.restoreFieldSources(sessionData.fieldSources, fieldValues, FIELD_SOURCES.SESSION);
+        this.restoreChildRows(sessionData.childRows);
+        this.lastKnownValues = { ...fieldValues };
         this.updateStepProgress();
         
         Promise.resolve().then(() => {
@@ -1257,55 +3642,37 @@ export default class DynamicCreatorWithDropdown extends NavigationMixin(Lightnin
         }
     }
 
-    async autoPopulateContactFields() {
+    // Fills empty fields from the record the form was opened on, per the form's Prefill_Mappings__c
+    async autoPopulateFromSourceRecord() {
         try {
-            if (!this.contactId || !this.fieldsArray) {
-                return;
-            }
-            
-            const hasContactField = this.fieldsArray.some(field => 
-                field.apiName === 'ContactId' || field.apiName === 'Contact__c'
-            );
-            const hasAccountField = this.fieldsArray.some(field => 
-                field.apiName === 'AccountId' || field.apiName === 'Account__c'
-            );
-            
-            if (!hasContactField && !hasAccountField) {
+            if (!this.sourceRecordId || !this.selectedForm || !this.fieldsArray) {
                 return;
             }
             
-            const contactData = await getContactAndAccountData({ contactId: this.contactId });
+            const prefillValues = await getPrefillValues({
+                analysisId: this.selectedForm,
+                sourceRecordId: this.sourceRecordId
+            });
             await Promise.resolve();
             
+            // Restored drafts and sessions win over prefill
             const fieldsToPopulate = {};
-            
-            if (hasContactField && contactData.contactId) {
-                if (this.fieldsArray.some(field => field.apiName === 'ContactId')) {
-                    fieldsToPopulate.ContactId = contactData.contactId;
-                }
-                if (this.fieldsArray.some(field => field.apiName === 'Contact__c')) {
-                    fieldsToPopulate.Contact__c = contactData.contactId;
-                }
-            }
-            
-            if (hasAccountField && contactData.accountId) {
-                if (this.fieldsArray.some(field => field.apiName === 'AccountId')) {
-                    fieldsToPopulate.AccountId = contactData.accountId;
-                }
-                if (this.fieldsArray.some(field => field.apiName === 'Account__c')) {
-                    fieldsToPopulate.Account__c = contactData.accountId;
+            Object.keys(prefillValues || {}).forEach(fieldName => {
+                const currentValue = this.getCurrentFieldValue(fieldName);
+                if (currentValue === null || currentValue === undefined || currentValue === '') {
+                    fieldsToPopulate[fieldName] = prefillValues[fieldName];
                 }
-            }
+            });
             
             if (Object.keys(fieldsToPopulate).length > 0) {
-                this.populateFormFields(fieldsToPopulate);
+                this.populateFormFields(fieldsToPopulate, FIELD_SOURCES.PREFILL);
                 Promise.resolve().then(() => {
                     this.updateIndividualFieldStyling();
                 });
             }
             
         } catch (error) {
-            console.error('Error auto-populating contact fields:', error);
+            console.error('Error prefilling from source record:', error);
         }
     }
 
@@ -1,11 +1,17 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
 import getForms from '@salesforce/apex/FormSelectorController.getForms';
+import getSuggestedFormIds from '@salesforce/apex/FormSelectorController.getSuggestedFormIds';
 import updateActiveForm from '@salesforce/apex/TestLWCConnection.updateActiveForm';
 import TRANSCRIPTMC from "@salesforce/messageChannel/rocketphone__TRANSCRIPTMC__c";
+import RPISTOLWC from "@salesforce/messageChannel/FORMMC__c";
 import { MessageContext, subscribe } from 'lightning/messageService';
 
 import getAllDraftForms from '@salesforce/apex/DraftFormService.getAllDraftForms';
+import getCallLabels from '@salesforce/apex/DraftFormService.getCallLabels';
+
+// DraftForm__c.Status__c of forms saved automatically when their call ended
+const WRAP_UP_STATUS = 'Needs Wrap-up';
 
 export default class DynamicFormSelector extends NavigationMixin(LightningElement) {
     @wire(MessageContext)
@@ -18,12 +24,20 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
     
     @track dashboardForms = [];
     @track isDashboardVisible = true;
+    // Limits the dashboard to forms linked to the current call
+    @track showCurrentCallOnly = false;
+    // Call record ID -> display name for the call links on dashboard tiles
+    @track callLabels = {};
 
     transcriptSubscription = null;
+    callStatusSubscription = null;
     @track currentCallRecordId = null;
+    // Forms highlighted for the caller of the connected call
+    @track suggestedFormIds = [];
 
     connectedCallback() {
         this.subscribeTranscriptMC();
+        this.subscribeCallStatus();
 
         if (this.recordId) {
             this.sourceRecordId = this.recordId;
@@ -53,6 +67,54 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
         }
     }
 
+    subscribeCallStatus() {
+        if (this.callStatusSubscription) {
+            return;
+        }
+        this.callStatusSubscription = subscribe(this.context, RPISTOLWC, (message) => {
+            if (message?.type === 'callStatus') {
+                this.handleCallStatus(message);
+            } else if (message?.type === 'incomingDataStored') {
+                this.handleIncomingDataStored(message);
+            }
+        });
+    }
+
+    // Voice data was stored on a closed form's draft; the server creates the draft if the form had none yet
+    handleIncomingDataStored(message) {
+        const hasTile = this.dashboardForms.some(form => form.externalFormId === message.externalFormId);
+        if (!hasTile) {
+            this.loadDashboardForms();
+            return;
+        }
+        this.dashboardForms = this.dashboardForms.map(form => (
+            form.externalFormId === message.externalFormId ? { ...form, hasNewData: true } : form
+        ));
+    }
+
+    async handleCallStatus(message) {
+        if (message.status === 'ended') {
+            this.suggestedFormIds = [];
+            return;
+        }
+        if (message.status !== 'connected') {
+            return;
+        }
+
+        if (message.callRecordId) {
+            this.currentCallRecordId = message.callRecordId;
+        }
+        try {
+            this.suggestedFormIds = await getSuggestedFormIds({
+                callerRecordId: message.callerRecordId,
+                callerNumber: message.callerNumber
+            }) || [];
+        } catch (error) {
+            console.error('Error loading suggested forms:', error);
+            this.suggestedFormIds = [];
+        }
+    }
+
     // Parse URL parameters to capture source record context
     @wire(CurrentPageReference)
     setCurrentPageReference(pageRef) {
@@ -83,10 +145,38 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
         return this.forms && this.forms.length > 0;
     }
 
+    get formButtons() {
+        return this.forms.map(form => {
+            const isSuggested = this.suggestedFormIds.includes(form.id);
+            return {
+                ...form,
+                variant: isSuggested ? 'brand' : 'neutral',
+                iconName: isSuggested ? 'utility:favorite' : null,
+                title: isSuggested ? 'Suggested for this caller' : form.subtitle
+            };
+        });
+    }
+
+    get hasSuggestedForms() {
+        return this.suggestedFormIds.length > 0;
+    }
+
     get hasDashboardForms() {
         return this.dashboardForms && this.dashboardForms.length > 0;
     }
 
+    get hasCurrentCall() {
+        return !!this.currentCallRecordId;
+    }
+
+    get currentCallFilterVariant() {
+        return this.showCurrentCallOnly ? 'brand' : 'neutral';
+    }
+
+    get hasFilteredOutForms() {
+        return this.hasDashboardForms && this.formList.length === 0;
+    }
+
     get dashboardToggleButtonClass() {
         return 'dashboard-toggle-button';
     }
@@ -121,7 +211,12 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
             }
         });
         
-        return this.dashboardForms.map(form => {
+        const isCallFilterActive = this.showCurrentCallOnly && this.hasCurrentCall;
+        const visibleForms = isCallFilterActive ?
+            this.dashboardForms.filter(form => form.callRecordId === this.currentCallRecordId) :
+            this.dashboardForms;
+        
+        return visibleForms.map(form => {
             const formType = form.id;
             const totalOfThisType = formsByType[formType].length;
             
@@ -131,14 +226,30 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
                 displayName = `${form.formName} (${number})`;
             }
             
+            const needsWrapUp = form.status === WRAP_UP_STATUS;
+            let progressText = form.progress === 100 ? 'Completed' : `${form.progress}% Complete`;
+            if (form.status === 'Created') {
+                progressText = 'Created';
+            } else if (needsWrapUp) {
+                progressText = `Call ended – needs wrap-up (${form.progress}%)`;
+            }
+            
+            let progressTextClass = 'slds-text-body_small slds-text-color_weak';
+            if (form.status === 'Created') {
+                progressTextClass = 'slds-text-body_small progress-completed-text';
+            } else if (needsWrapUp) {
+                progressTextClass = 'slds-text-body_small wrap-up-text';
+            }
+            
             return {
                 ...form,
                 isCompleted: form.status === 'Created' || form.progress === 100,
-                progressText: form.status === 'Created' ? 'Created' : (form.progress === 100 ? 'Completed' : `${form.progress}% Complete`),
-                progressTextClass: form.status === 'Created' 
-                    ? 'slds-text-body_small progress-completed-text' 
-                    : 'slds-text-body_small slds-text-color_weak',
-                label: `${form.objectName} / ${displayName}`
+                progressText: progressText,
+                progressTextClass: progressTextClass,
+                label: `${form.objectName} / ${displayName}`,
+                hasCall: !!form.callRecordId,
+                callLabel: this.callLabels[form.callRecordId] || 'View call',
+                callTitle: form.callRecordId === this.currentCallRecordId ? 'Captured during the current call' : 'Open the call this form was captured during'
             };
         });
     }
@@ -174,6 +285,10 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
             c__mode: 'new'
         };
         
+        if (this.currentCallRecordId) {
+            navigationState.c__callRecordId = this.currentCallRecordId;
+        }
+        
         if (this.sourceRecordId) {
             navigationState.c__recordId = this.sourceRecordId;
         }
@@ -212,12 +327,15 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
                     status: draft.Status__c || 'Draft',
                     createdRecordId: draft.Created_Record_ID__c,
                     recordId: draft.Source_Record_ID__c,
+                    callRecordId: draft.Task_ID__c || formData.callRecordId || null,
                     lastModified: new Date(draft.LastModifiedDate).getTime(),
                     creationTime: new Date(draft.CreatedDate).getTime(),
                     createdBy: draft.CreatedBy?.Name || 'Unknown User',
                     createdDate: draft.CreatedDate,
                     fieldValues: formData.fieldValues || {},
-                    totalFields: formData.totalFields || 0
+                    totalFields: formData.totalFields || 0,
+                    // Voice data stored while the form was not open, applied when it is next opened
+                    hasNewData: Array.isArray(formData.incomingData) && formData.incomingData.length > 0
                 };
             });
             
@@ -225,6 +343,7 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
             transformedForms.sort((a, b) => b.lastModified - a.lastModified);
             
             this.dashboardForms = transformedForms;
+            this.loadCallLabels();
             
         } catch (error) {
             console.error('Error loading draft forms:', error);
@@ -233,6 +352,38 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
         }
     }
     
+    // Resolve display names for the calls shown on the tiles; tiles fall back to a generic link
+    async loadCallLabels() {
+        const callRecordIds = [...new Set(this.dashboardForms.map(form => form.callRecordId).filter(Boolean))];
+        if (callRecordIds.length === 0) {
+            return;
+        }
+        try {
+            this.callLabels = await getCallLabels({ callRecordIds: callRecordIds }) || {};
+        } catch (error) {
+            console.error('Error loading call details:', error);
+        }
+    }
+
+    handleCallClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const callRecordId = event.currentTarget.dataset.callRecordId;
+        if (!callRecordId) return;
+
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: {
+                recordId: callRecordId,
+                actionName: 'view'
+            }
+        });
+    }
+
+    handleCurrentCallFilterToggle() {
+        this.showCurrentCallOnly = !this.showCurrentCallOnly;
+    }
+
     // Fallback method to load forms from session storage (legacy support)
     loadSessionStorageForms() {
         try {
@@ -255,6 +406,7 @@ export default class DynamicFormSelector extends NavigationMixin(LightningElemen
                                 formName: sessionData.formName || 'Untitled Form',
                                 progress: sessionData.progressPercentage || 0,
                                 recordId: sessionData.recordId,
+                                callRecordId: sessionData.callRecordId || null,
                                 lastModified: sessionData.timestamp || Date.now(),
                                 creationTime: sessionData.creationTime || sessionData.timestamp || Date.now(),
                                 createdBy: 'Session Storage', // Placeholder for compatibility
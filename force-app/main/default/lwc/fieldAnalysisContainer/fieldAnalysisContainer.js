@@ -2,6 +2,8 @@ import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import getAnalysisById from '@salesforce/apex/AnalysisService.getAnalysisById';
 import getInstructionsForAnalysis from '@salesforce/apex/InstructionManagerService.getInstructionsForAnalysis';
+import { parseVisibilityRules } from 'c/visibilityRules';
+import { parseBookmarkActions } from 'c/bookmarkActions';
 
 export default class FieldAnalysisContainer extends LightningElement {
     @api analysisId;
@@ -46,12 +48,24 @@ export default class FieldAnalysisContainer extends LightningElement {
                 selectedRecordType: analysisRecord.Record_Type_Id__c,
                 selectedRecordTypeName: analysisRecord.Record_Type_Name__c || 'Master',
                 formName: analysisRecord.Name,
+                conflictPolicy: analysisRecord.Conflict_Policy__c,
+                confidenceThreshold: analysisRecord.Confidence_Threshold__c,
+                picklistSynonyms: this.parseJson(analysisRecord.Picklist_Synonyms__c),
+                visibilityRules: parseVisibilityRules(analysisRecord.Visibility_Rules__c),
+                prefillMappings: this.parseJson(analysisRecord.Prefill_Mappings__c, []),
+                duplicateMatchFields: analysisRecord.Duplicate_Match_Fields__c ?
+                    analysisRecord.Duplicate_Match_Fields__c.split(',').map(field => field.trim()) : [],
+                bookmarkActions: parseBookmarkActions(analysisRecord.Bookmark_Actions__c),
+                questionTemplates: this.parseJson(analysisRecord.Question_Templates__c),
                 allSelectedFields: analysisRecord.Selected_Fields__c ? 
                     analysisRecord.Selected_Fields__c.split(',').map(field => field.trim()) : [],
                 sections: instructionsData.instructions ? instructionsData.instructions.map(instruction => ({
                     stepNumber: instruction.stepNumber,
                     text: instruction.text,
-                    fields: instruction.fields || []
+                    fields: instruction.fields || [],
+                    sectionType: instruction.sectionType,
+                    childObject: instruction.childObject,
+                    relationshipField: instruction.relationshipField
                 })) : []
             };
             
@@ -74,6 +88,8 @@ export default class FieldAnalysisContainer extends LightningElement {
         this.analysisData.selectedRecordType = event.detail.recordTypeId;
         this.analysisData.selectedRecordTypeName = event.detail.recordTypeName;
         this.analysisData.formName = event.detail.formName;
+        this.analysisData.conflictPolicy = event.detail.conflictPolicy;
+        this.analysisData.confidenceThreshold = event.detail.confidenceThreshold;
         
         // Preserve existing sections when going back
         if (existingSections) {
@@ -90,6 +106,7 @@ export default class FieldAnalysisContainer extends LightningElement {
     handleSectionsCreated(event) {
         this.analysisData.sections = event.detail.sections;
         this.analysisData.allSelectedFields = event.detail.allSelectedFields;
+        this.analysisData.visibilityRules = event.detail.visibilityRules;
         this.currentStep = 'step3';
     }
     
@@ -97,6 +114,44 @@ export default class FieldAnalysisContainer extends LightningElement {
     handleSectionsSync(event) {
         this.analysisData.sections = event.detail.sections;
         this.analysisData.allSelectedFields = event.detail.allSelectedFields;
+        this.analysisData.visibilityRules = event.detail.visibilityRules;
+    }
+    
+    // Keep synonym edits when navigating back from review
+    handleSynonymsChange(event) {
+        this.analysisData.picklistSynonyms = event.detail.picklistSynonyms;
+    }
+    
+    // Keep prefill mapping edits when navigating back from review
+    handlePrefillChange(event) {
+        this.analysisData.prefillMappings = event.detail.prefillMappings;
+    }
+    
+    // Keep duplicate match field edits when navigating back from review
+    handleDuplicateMatchChange(event) {
+        this.analysisData.duplicateMatchFields = event.detail.duplicateMatchFields;
+    }
+    
+    // Keep bookmark action edits when navigating back from review
+    handleBookmarkActionsChange(event) {
+        this.analysisData.bookmarkActions = event.detail.bookmarkActions;
+    }
+    
+    // Keep question template edits when navigating back from review
+    handleQuestionTemplatesChange(event) {
+        this.analysisData.questionTemplates = event.detail.questionTemplates;
+    }
+    
+    parseJson(value, fallback = {}) {
+        if (!value) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.error('Error parsing stored form settings:', error);
+            return fallback;
+        }
     }
     
     handleAnalysisSaved(event) {
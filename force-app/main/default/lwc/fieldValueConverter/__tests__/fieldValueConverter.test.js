@@ -0,0 +1,159 @@
+import { convertFieldValue, isRecordId, normalizeRawValue, parseNumber } from 'c/fieldValueConverter';
+
+const field = (dataType, extra = {}) => ({ dataType, ...extra });
+
+describe('c-field-value-converter', () => {
+    describe('normalizeRawValue', () => {
+        it('strips escaped and wrapping quotes', () => {
+            expect(normalizeRawValue('"\\u0022Acme\\u0022"')).toBe('"Acme"');
+            expect(normalizeRawValue('  "Acme"  ')).toBe('Acme');
+        });
+
+        it('passes non-strings through', () => {
+            expect(normalizeRawValue(5)).toBe(5);
+            expect(normalizeRawValue(null)).toBeNull();
+        });
+    });
+
+    describe('parseNumber', () => {
+        it('reads separators, currency symbols and multipliers', () => {
+            expect(parseNumber('1,200')).toBe(1200);
+            expect(parseNumber('$50k')).toBe(50000);
+            expect(parseNumber('2.5 million')).toBe(2500000);
+            expect(parseNumber('15%')).toBe(15);
+        });
+
+        it('rejects words and unknown suffixes', () => {
+            expect(parseNumber('twelve')).toBeNull();
+            expect(parseNumber('12 apples')).toBeNull();
+        });
+    });
+
+    describe('numbers', () => {
+        it('converts whole numbers and rejects decimals for Int fields', () => {
+            expect(convertFieldValue('12', field('Int'))).toEqual({ value: 12, error: null });
+            expect(convertFieldValue('1.5', field('Int')).error).toBe('expected a whole number, not a decimal');
+        });
+
+        it('rounds decimals to the field scale', () => {
+            expect(convertFieldValue('$1,234.567', field('Currency', { scale: 2 })).value).toBe(1234.57);
+            expect(convertFieldValue('abc', field('Double')).error).toBe('expected a number');
+        });
+    });
+
+    describe('booleans', () => {
+        it('maps yes and no words', () => {
+            expect(convertFieldValue('Yes', field('Boolean')).value).toBe(true);
+            expect(convertFieldValue('unchecked', field('Boolean')).value).toBe(false);
+            expect(convertFieldValue('maybe', field('Boolean')).error).toBe('expected yes or no');
+        });
+    });
+
+    describe('dates', () => {
+        it('accepts ISO dates, with or without a time part', () => {
+            expect(convertFieldValue('2024-3-5', field('Date')).value).toBe('2024-03-05');
+            expect(convertFieldValue('2024-03-05T10:00:00Z', field('Date')).value).toBe('2024-03-05');
+        });
+
+        it('accepts month-name dates with a year', () => {
+            expect(convertFieldValue('March 5, 2024', field('Date')).value).toBe('2024-03-05');
+            expect(convertFieldValue('5th of March 2024', field('Date')).value).toBe('2024-03-05');
+            expect(convertFieldValue('Tuesday, Sept. 10 2024', field('Date')).value).toBe('2024-09-10');
+        });
+
+        it('reads ambiguous numeric dates month first in a US locale', () => {
+            expect(convertFieldValue('3/5/2024', field('Date')).value).toBe('2024-03-05');
+        });
+
+        it('reads numeric dates day first when the first part cannot be a month', () => {
+            expect(convertFieldValue('13/5/2024', field('Date')).value).toBe('2024-05-13');
+        });
+
+        it('reports dates without a year instead of guessing one', () => {
+            expect(convertFieldValue('March 5', field('Date')).error).toMatch(/expected a date with a year/);
+            expect(convertFieldValue('12', field('Date')).error).toMatch(/expected a date with a year/);
+            expect(convertFieldValue('next tuesday', field('Date')).error).toMatch(/expected a date with a year/);
+        });
+
+        it('rejects impossible calendar dates', () => {
+            expect(convertFieldValue('2024-02-30', field('Date')).error).toMatch(/expected a date/);
+            expect(convertFieldValue('February 29, 2023', field('Date')).error).toMatch(/expected a date/);
+            expect(convertFieldValue('February 29, 2024', field('Date')).value).toBe('2024-02-29');
+        });
+
+        it('reads ambiguous numeric dates day first in a day-first locale', () => {
+            jest.isolateModules(() => {
+                jest.doMock('@salesforce/i18n/locale', () => ({ default: 'en-GB' }), { virtual: true });
+                const converter = require('c/fieldValueConverter');
+                expect(converter.convertFieldValue('3/5/2024', field('Date')).value).toBe('2024-05-03');
+            });
+        });
+    });
+
+    describe('date/times', () => {
+        it('keeps the offset of ISO timestamps', () => {
+            expect(convertFieldValue('2024-03-05T10:00:00Z', field('DateTime')).value).toBe('2024-03-05T10:00:00.000Z');
+            expect(convertFieldValue('2024-03-05T10:00:00+02:00', field('DateTime')).value).toBe('2024-03-05T08:00:00.000Z');
+        });
+
+        it('reads a spoken date and time in local time', () => {
+            const expected = new Date(2024, 2, 5, 14, 30, 0).toISOString();
+            expect(convertFieldValue('March 5, 2024 at 2:30 pm', field('DateTime')).value).toBe(expected);
+            expect(convertFieldValue('3/5/2024 14:30', field('DateTime')).value).toBe(expected);
+        });
+
+        it('requires both a date with a year and a time', () => {
+            expect(convertFieldValue('March 5, 2024', field('DateTime')).error).toMatch(/and a time/);
+            expect(convertFieldValue('March 5 at 3pm', field('DateTime')).error).toMatch(/and a time/);
+        });
+    });
+
+    describe('times', () => {
+        it('converts 12 and 24 hour times', () => {
+            expect(convertFieldValue('2:30 pm', field('Time')).value).toBe('14:30:00.000Z');
+            expect(convertFieldValue('12am', field('Time')).value).toBe('00:00:00.000Z');
+            expect(convertFieldValue('14:30:15', field('Time')).value).toBe('14:30:15.000Z');
+        });
+
+        it('rejects out-of-range times', () => {
+            expect(convertFieldValue('13 pm', field('Time')).error).toBe('expected a time');
+            expect(convertFieldValue('24:00', field('Time')).error).toBe('expected a time');
+        });
+    });
+
+    describe('multi-select picklists', () => {
+        it('splits on semicolons and commas only', () => {
+            expect(convertFieldValue('Email, Phone; SMS', field('MultiPicklist')).value).toBe('Email;Phone;SMS');
+            expect(convertFieldValue('Research and Development', field('MultiPicklist')).value)
+                .toBe('Research and Development');
+        });
+
+        it('joins arrays', () => {
+            expect(convertFieldValue(['Email', ' Phone '], field('MultiPicklist')).value).toBe('Email;Phone');
+        });
+    });
+
+    describe('references', () => {
+        const lookup = field('Reference');
+
+        it('accepts an ID whose key prefix belongs to the lookup target', () => {
+            expect(convertFieldValue('001000000000001AAA', lookup, { keyPrefixes: ['001'] }).value)
+                .toBe('001000000000001AAA');
+        });
+
+        it('rejects ID-shaped values with another prefix', () => {
+            expect(isRecordId('AcmeCorporation', ['001'])).toBe(false);
+            expect(convertFieldValue('003000000000001AAA', lookup, { keyPrefixes: ['001'] }).error)
+                .toBe('expected a record ID');
+        });
+
+        it('rejects IDs until the key prefixes are known', () => {
+            expect(isRecordId('001000000000001AAA')).toBe(false);
+        });
+    });
+
+    it('passes text through when field metadata is not loaded', () => {
+        expect(convertFieldValue(42, undefined)).toEqual({ value: '42', error: null });
+        expect(convertFieldValue('', field('Int'))).toEqual({ value: '', error: null });
+    });
+});
@@ -0,0 +1,318 @@
+// Converts free-form values extracted from voice/chat into the shape lightning-input-field expects,
+// driven by the UI API field metadata (getObjectInfo) rather than field name patterns.
+
+import LOCALE from '@salesforce/i18n/locale';
+
+const TRUE_WORDS = ['true', 'yes', 'y', '1', 'checked', 'on', 'correct'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', 'unchecked', 'off', 'incorrect'];
+
+const NUMBER_MULTIPLIERS = {
+    k: 1e3,
+    thousand: 1e3,
+    m: 1e6,
+    mm: 1e6,
+    million: 1e6,
+    b: 1e9,
+    bn: 1e9,
+    billion: 1e9
+};
+
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|' +
+    'sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const WEEKDAY = '(?:(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?,? )?';
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:t[\d:.]+(?:z|[+-]\d{2}:?\d{2})?)?$/;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const MONTH_FIRST_DATE_PATTERN = new RegExp(`^${WEEKDAY}${MONTH} ${DAY},? (\\d{4})$`);
+const DAY_FIRST_DATE_PATTERN = new RegExp(`^${WEEKDAY}(?:the )?${DAY} (?:of )?${MONTH},? (\\d{4})$`);
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i;
+const DATE_AND_TIME_PATTERN = /^(.+?),?\s+(?:at\s+)?(\d{1,2}(?::\d{2}){1,2}\s*(?:[ap]\.?m\.?)?|\d{1,2}\s*[ap]\.?m\.?)$/i;
+
+let dayFirstLocale;
+
+// Strip JSON escaping and wrapping quotes left over from the AI payload
+export function normalizeRawValue(value) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    let normalized = value.replace(/\\u0022/g, '"').trim();
+    if (normalized.length > 1 && normalized.startsWith('"') && normalized.endsWith('"')) {
+        normalized = normalized.slice(1, -1).trim();
+    }
+    return normalized;
+}
+
+/**
+ * Convert a raw value for a field.
+ * @param {*} rawValue value received from the AI payload
+ * @param {Object} fieldInfo entry from objectInfo.fields (may be undefined while metadata loads)
+ * @param {Object} [options]
+ * @param {string[]} [options.keyPrefixes] key prefixes of the objects a Reference field points at
+ * @returns {{ value: *, error: (string|null) }}
+ */
+export function convertFieldValue(rawValue, fieldInfo, options = {}) {
+    const value = normalizeRawValue(rawValue);
+
+    if (value === null || value === undefined || value === '') {
+        return success(value);
+    }
+
+    if (!fieldInfo) {
+        return success(typeof value === 'string' ? value : String(value));
+    }
+
+    switch (fieldInfo.dataType) {
+        case 'Int':
+            return toInteger(value);
+        case 'Double':
+        case 'Currency':
+        case 'Percent':
+            return toDecimal(value, fieldInfo.scale);
+        case 'Boolean':
+            return toBoolean(value);
+        case 'Date':
+            return toDate(value);
+        case 'DateTime':
+            return toDateTime(value);
+        case 'Time':
+            return toTime(value);
+        case 'MultiPicklist':
+            return toMultiPicklist(value);
+        case 'Reference':
+            return toReference(value, options.keyPrefixes);
+        default:
+            return success(Array.isArray(value) ? value.join(', ') : String(value));
+    }
+}
+
+function success(value) {
+    return { value, error: null };
+}
+
+function failure(message) {
+    return { value: undefined, error: message };
+}
+
+// Parses "1,200", "$50k", "2.5 million", "15%"
+export function parseNumber(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : null;
+    }
+
+    const text = String(value).toLowerCase().replace(/[,\s$£€%]/g, '');
+    const match = text.match(/^(-?\d*\.?\d+)([a-z]*)$/);
+    if (!match) {
+        return null;
+    }
+
+    const base = parseFloat(match[1]);
+    const suffix = match[2];
+    if (!suffix) {
+        return base;
+    }
+    const multiplier = NUMBER_MULTIPLIERS[suffix];
+    return multiplier ? base * multiplier : null;
+}
+
+function toInteger(value) {
+    const numeric = parseNumber(value);
+    if (numeric === null) {
+        return failure('expected a whole number');
+    }
+    if (!Number.isInteger(numeric)) {
+        return failure('expected a whole number, not a decimal');
+    }
+    return success(numeric);
+}
+
+function toDecimal(value, scale) {
+    const numeric = parseNumber(value);
+    if (numeric === null) {
+        return failure('expected a number');
+    }
+    if (scale != null && scale >= 0) {
+        const factor = Math.pow(10, scale);
+        return success(Math.round(numeric * factor) / factor);
+    }
+    return success(numeric);
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') {
+        return success(value);
+    }
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_WORDS.includes(text)) {
+        return success(true);
+    }
+    if (FALSE_WORDS.includes(text)) {
+        return success(false);
+    }
+    return failure('expected yes or no');
+}
+
+function pad(number, size = 2) {
+    return String(number).padStart(size, '0');
+}
+
+// Only explicit formats are accepted: "2024-03-05", "3/5/2024", "March 5, 2024", "5th of March 2024".
+// Anything without a year (e.g. "March 5", "12") is reported instead of letting Date guess one.
+function parseDateParts(value) {
+    const text = String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+    const isoMatch = text.match(ISO_DATE_PATTERN);
+    if (isoMatch) {
+        return buildDateParts(isoMatch[1], isoMatch[2], isoMatch[3]);
+    }
+
+    const numericMatch = text.match(NUMERIC_DATE_PATTERN);
+    if (numericMatch) {
+        const first = parseInt(numericMatch[1], 10);
+        const second = parseInt(numericMatch[2], 10);
+        const dayFirst = first > 12 || (second <= 12 && isDayFirstLocale());
+        return dayFirst
+            ? buildDateParts(numericMatch[3], second, first)
+            : buildDateParts(numericMatch[3], first, second);
+    }
+
+    const monthFirstMatch = text.match(MONTH_FIRST_DATE_PATTERN);
+    if (monthFirstMatch) {
+        return buildDateParts(monthFirstMatch[3], monthNumber(monthFirstMatch[1]), monthFirstMatch[2]);
+    }
+
+    const dayFirstMatch = text.match(DAY_FIRST_DATE_PATTERN);
+    if (dayFirstMatch) {
+        return buildDateParts(dayFirstMatch[3], monthNumber(dayFirstMatch[2]), dayFirstMatch[1]);
+    }
+
+    return null;
+}
+
+function monthNumber(name) {
+    return MONTH_NAMES.findIndex(month => month.startsWith(name.slice(0, 3))) + 1;
+}
+
+// Rejects impossible calendar dates such as 2024-02-30
+function buildDateParts(year, month, day) {
+    const parts = { year: parseInt(year, 10), month: parseInt(month, 10), day: parseInt(day, 10) };
+    const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    if (parts.month < 1 || check.getUTCFullYear() !== parts.year ||
+        check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day) {
+        return null;
+    }
+    return parts;
+}
+
+// Ambiguous numeric dates (3/5/2024) follow the user's locale order
+function isDayFirstLocale() {
+    if (dayFirstLocale === undefined) {
+        try {
+            const parts = new Intl.DateTimeFormat(LOCALE).formatToParts(new Date(2000, 10, 22));
+            const types = parts.map(part => part.type);
+            dayFirstLocale = types.indexOf('day') < types.indexOf('month');
+        } catch (error) {
+            dayFirstLocale = false;
+        }
+    }
+    return dayFirstLocale;
+}
+
+// Accepts "14:30", "2:30 pm", "3pm", "14:30:15"
+function parseTimeParts(value) {
+    const text = String(value).trim().toLowerCase().replace(/\./g, '');
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) {
+        return null;
+    }
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const seconds = match[3] ? parseInt(match[3], 10) : 0;
+    const meridiem = match[4];
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) {
+            return null;
+        }
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+    return { hours, minutes, seconds };
+}
+
+// Dates are kept as calendar dates (YYYY-MM-DD) so no timezone shift is applied
+function toDate(value) {
+    const parts = parseDateParts(value);
+    if (!parts) {
+        return failure('expected a date with a year, e.g. 2024-03-05 or March 5, 2024');
+    }
+    return success(`${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`);
+}
+
+// ISO timestamps keep their offset; "<date> [at] <time>" is read in local time. A time is
+// required so a bare date is not silently stored as midnight.
+function toDateTime(value) {
+    const text = String(value).trim();
+    if (ISO_DATE_TIME_PATTERN.test(text)) {
+        const parsed = new Date(text.replace(' ', 'T'));
+        if (!isNaN(parsed.getTime()) && parseDateParts(text.slice(0, 10))) {
+            return success(parsed.toISOString());
+        }
+    }
+
+    const match = text.match(DATE_AND_TIME_PATTERN);
+    const dateParts = match && parseDateParts(match[1]);
+    const timeParts = match && parseTimeParts(match[2]);
+    if (!dateParts || !timeParts) {
+        return failure('expected a date with a year and a time, e.g. March 5, 2024 at 2:30 pm');
+    }
+    const parsed = new Date(dateParts.year, dateParts.month - 1, dateParts.day,
+        timeParts.hours, timeParts.minutes, timeParts.seconds);
+    return success(parsed.toISOString());
+}
+
+function toTime(value) {
+    const parts = parseTimeParts(value);
+    if (!parts) {
+        return failure('expected a time');
+    }
+    return success(`${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}.000Z`);
+}
+
+// Multi-select picklists are stored as semicolon separated values; "and" is left in place because entries
+// such as "Research and Development" contain it (picklistMatcher splits on it only when nothing matches)
+function toMultiPicklist(value) {
+    const parts = Array.isArray(value)
+        ? value
+        : String(value).split(/[;,]/);
+    const cleaned = parts
+        .map(part => normalizeRawValue(String(part)))
+        .filter(part => part);
+    return success(cleaned.join(';'));
+}
+
+// A value only counts as an ID when its 3-character prefix belongs to one of the lookup's target
+// objects, so a spoken name that happens to be 15 or 18 letters is not written into the lookup
+export function isRecordId(value, keyPrefixes = []) {
+    const text = String(value ?? '').trim();
+    return SALESFORCE_ID_PATTERN.test(text) && keyPrefixes.includes(text.slice(0, 3));
+}
+
+function toReference(value, keyPrefixes) {
+    const text = String(value).trim();
+    if (!isRecordId(text, keyPrefixes)) {
+        return failure('expected a record ID');
+    }
+    return success(text);
+}
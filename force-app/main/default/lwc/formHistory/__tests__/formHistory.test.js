@@ -0,0 +1,123 @@
+import FormHistory from 'c/formHistory';
+
+const change = (fieldName, previousValue, newValue, newSource = 'manual') => ({
+    fieldName,
+    previousValue,
+    previousSource: null,
+    newValue,
+    newSource
+});
+
+describe('c-form-history', () => {
+    let history;
+
+    beforeEach(() => {
+        history = new FormHistory();
+    });
+
+    describe('record', () => {
+        it('ignores entries without changes', () => {
+            history.record({ type: 'manual', changes: [] });
+            history.record(null);
+            expect(history.canUndo).toBe(false);
+        });
+
+        it('clears the redo stack on a new entry', () => {
+            history.record({ type: 'manual', changes: [change('Name', '', 'Acme')] });
+            history.undo();
+            expect(history.canRedo).toBe(true);
+
+            history.record({ type: 'manual', changes: [change('Phone', '', '555')] });
+            expect(history.canRedo).toBe(false);
+        });
+
+        it('keeps at most 100 entries', () => {
+            for (let i = 0; i < 105; i++) {
+                history.record({ type: 'manual', changes: [change('Name', String(i), String(i + 1))] });
+            }
+            expect(history.undoStack).toHaveLength(100);
+            expect(history.undoStack[0].changes[0].previousValue).toBe('5');
+        });
+    });
+
+    describe('coalescing', () => {
+        it('merges consecutive edits with the same key, keeping the first previous value', () => {
+            history.record({ type: 'manual', coalesceKey: 'Name', changes: [change('Name', '', 'Ac')] });
+            history.record({ type: 'manual', coalesceKey: 'Name', changes: [change('Name', 'Ac', 'Acme')] });
+
+            expect(history.undoStack).toHaveLength(1);
+            expect(history.undoStack[0].changes[0]).toMatchObject({ previousValue: '', newValue: 'Acme' });
+        });
+
+        it('starts a new entry for a different key', () => {
+            history.record({ type: 'manual', coalesceKey: 'Name', changes: [change('Name', '', 'Acme')] });
+            history.record({ type: 'manual', coalesceKey: 'Phone', changes: [change('Phone', '', '555')] });
+            expect(history.undoStack).toHaveLength(2);
+        });
+
+        it('does not merge into an entry after an undo', () => {
+            history.record({ type: 'manual', coalesceKey: 'Name', changes: [change('Name', '', 'Ac')] });
+            history.record({ type: 'manual', coalesceKey: 'Phone', changes: [change('Phone', '', '5')] });
+            history.undo();
+            history.record({ type: 'manual', coalesceKey: 'Name', changes: [change('Name', 'Ac', 'Acme')] });
+            expect(history.undoStack).toHaveLength(2);
+        });
+    });
+
+    describe('undo and redo', () => {
+        it('moves entries between the stacks in order', () => {
+            const first = { type: 'manual', changes: [change('Name', '', 'Acme')] };
+            const second = { type: 'ai', changes: [change('Phone', '', '555', 'ai')] };
+            history.record(first);
+            history.record(second);
+
+            expect(history.undo()).toBe(second);
+            expect(history.undo()).toBe(first);
+            expect(history.undo()).toBeUndefined();
+            expect(history.redo()).toBe(first);
+            expect(history.canUndo).toBe(true);
+            expect(history.canRedo).toBe(true);
+        });
+
+        it('marks the reverted entry while the reverting entry is applied', () => {
+            const batch = { type: 'ai', changes: [change('Name', '', 'Acme', 'ai')] };
+            history.record(batch);
+            history.record({ type: 'revert', revertsEntry: batch, changes: [change('Name', 'Acme', '')] });
+
+            expect(batch.isReverted).toBe(true);
+            expect(history.lastEntryOfType('ai')).toBeNull();
+
+            history.undo();
+            expect(batch.isReverted).toBe(false);
+            expect(history.lastEntryOfType('ai')).toBe(batch);
+
+            history.redo();
+            expect(batch.isReverted).toBe(true);
+        });
+    });
+
+    describe('lookups', () => {
+        it('finds the latest applied change to a field', () => {
+            history.record({ type: 'ai', changes: [change('Name', '', 'Acme', 'ai')] });
+            history.record({ type: 'manual', changes: [change('Name', 'Acme', 'Acme Ltd')] });
+            expect(history.lastChangeForField('Name').newValue).toBe('Acme Ltd');
+
+            history.undo();
+            expect(history.lastChangeForField('Name').newValue).toBe('Acme');
+            expect(history.lastChangeForField('Phone')).toBeNull();
+        });
+
+        it('lists the fields with applied changes', () => {
+            history.record({ type: 'ai', changes: [change('Name', '', 'Acme', 'ai'), change('Phone', '', '555', 'ai')] });
+            expect([...history.fieldNamesWithHistory()]).toEqual(['Name', 'Phone']);
+        });
+
+        it('forgets everything on clear', () => {
+            history.record({ type: 'manual', changes: [change('Name', '', 'Acme')] });
+            history.undo();
+            history.clear();
+            expect(history.canUndo).toBe(false);
+            expect(history.canRedo).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,111 @@
+// Undo/redo stacks for runtime form field changes.
+// An entry groups the changes made by one action: a manual edit, an AI batch, a contact auto-fill or a draft load.
+// Change shape: { fieldName, previousValue, previousSource, newValue, newSource }
+
+const MAX_ENTRIES = 100;
+
+export default class FormHistory {
+    undoStack = [];
+    redoStack = [];
+
+    /**
+     * @param {Object} entry { type, changes, coalesceKey?, revertsEntry? }
+     *   coalesceKey merges consecutive entries with the same key (repeated edits of one field);
+     *   revertsEntry marks an earlier entry as reverted while this entry is applied.
+     */
+    record(entry) {
+        if (!entry || !entry.changes || entry.changes.length === 0) {
+            return;
+        }
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (entry.coalesceKey && last && last.coalesceKey === entry.coalesceKey && this.redoStack.length === 0) {
+            entry.changes.forEach(change => {
+                const existing = last.changes.find(item => item.fieldName === change.fieldName);
+                if (existing) {
+                    existing.newValue = change.newValue;
+                    existing.newSource = change.newSource;
+                } else {
+                    last.changes.push(change);
+                }
+            });
+            return;
+        }
+
+        this.undoStack.push(entry);
+        if (this.undoStack.length > MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.setReverted(entry, true);
+    }
+
+    // Returns the entry to roll back (apply previous values), or undefined
+    undo() {
+        const entry = this.undoStack.pop();
+        if (entry) {
+            this.redoStack.push(entry);
+            this.setReverted(entry, false);
+        }
+        return entry;
+    }
+
+    // Returns the entry to re-apply (apply new values), or undefined
+    redo() {
+        const entry = this.redoStack.pop();
+        if (entry) {
+            this.undoStack.push(entry);
+            this.setReverted(entry, true);
+        }
+        return entry;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Most recent applied change to a field
+    lastChangeForField(fieldName) {
+        for (let i = this.undoStack.length - 1; i >= 0; i--) {
+            const change = this.undoStack[i].changes.find(item => item.fieldName === fieldName);
+            if (change) {
+                return change;
+            }
+        }
+        return null;
+    }
+
+    // Most recent entry of a type that has not been reverted yet
+    lastEntryOfType(type) {
+        for (let i = this.undoStack.length - 1; i >= 0; i--) {
+            const entry = this.undoStack[i];
+            if (entry.type === type && !entry.isReverted) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    fieldNamesWithHistory() {
+        const fieldNames = new Set();
+        this.undoStack.forEach(entry => {
+            entry.changes.forEach(change => fieldNames.add(change.fieldName));
+        });
+        return fieldNames;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    setReverted(entry, isApplied) {
+        if (entry.revertsEntry) {
+            entry.revertsEntry.isReverted = isApplied;
+        }
+    }
+}
@@ -0,0 +1,25 @@
+import { LightningElement, api } from 'lwc';
+
+export default class LookupCandidatePicker extends LightningElement {
+    // Spoken name that matched more than one record
+    @api searchTerm;
+    // [{ id, name, objectLabel, isExactMatch }]
+    @api candidates = [];
+
+    get candidateOptions() {
+        return (this.candidates || []).map(candidate => ({
+            ...candidate,
+            title: `${candidate.name} (${candidate.objectLabel})`
+        }));
+    }
+
+    handleSelect(event) {
+        this.dispatchEvent(new CustomEvent('select', {
+            detail: { recordId: event.currentTarget.dataset.recordId }
+        }));
+    }
+
+    handleDismiss() {
+        this.dispatchEvent(new CustomEvent('dismiss'));
+    }
+}
@@ -0,0 +1,42 @@
+import { LightningElement, api } from 'lwc';
+
+export default class NextQuestionPanel extends LightningElement {
+    // [{ key, fieldName, fieldLabel, text, sourceLabel, isPrimary, questionId }]; the first entry is the next best question
+    @api questions = [];
+
+    get hasQuestions() {
+        return this.questions && this.questions.length > 0;
+    }
+
+    get questionItems() {
+        return (this.questions || []).map(question => ({
+            ...question,
+            itemClass: question.isPrimary ? 'slds-item next-question next-question_primary' : 'slds-item next-question',
+            hasField: !!question.fieldName,
+            dismissTitle: question.isPrimary ? 'Skip for now' : 'Dismiss'
+        }));
+    }
+
+    handleFieldSelect(event) {
+        this.dispatchEvent(new CustomEvent('fieldselect', {
+            detail: { fieldName: event.currentTarget.dataset.fieldName }
+        }));
+    }
+
+    // The next best question is skipped until the others are answered; AI questions are dismissed for good
+    handleDismiss(event) {
+        const question = this.questions.find(item => item.key === event.currentTarget.dataset.key);
+        if (!question) {
+            return;
+        }
+        if (question.isPrimary) {
+            this.dispatchEvent(new CustomEvent('skip', {
+                detail: { fieldName: question.fieldName }
+            }));
+        } else {
+            this.dispatchEvent(new CustomEvent('dismiss', {
+                detail: { questionId: question.questionId }
+            }));
+        }
+    }
+}
@@ -2,11 +2,15 @@ import { LightningElement, track, wire, api } from 'lwc';
 import getAllSalesforceObjects from '@salesforce/apex/ObjectService.getAllSalesforceObjects';
 import getObjectRecordTypes from '@salesforce/apex/ObjectService.getObjectRecordTypes';
 
+const DEFAULT_CONFLICT_POLICY = 'Keep Manual';
+
 export default class ObjectSelector extends LightningElement {
     @api initialSelectedObject;
     @api initialSelectedRecordType;
     @api initialSelectedRecordTypeName;
     @api initialFormName;
+    @api initialConflictPolicy;
+    @api initialConfidenceThreshold;
     
     @track objectOptions = [];
     @track selectedObject = '';
@@ -16,6 +20,8 @@ export default class ObjectSelector extends LightningElement {
     @track selectedRecordTypeDescription = '';
     @track showRecordTypeSelector = false;
     @track formName = '';
+    @track conflictPolicy = DEFAULT_CONFLICT_POLICY;
+    @track confidenceThreshold = null;
     
     @track isLoadingObjects = false;
     @track isLoadingRecordTypes = false;
@@ -44,6 +50,8 @@ export default class ObjectSelector extends LightningElement {
             this.selectedRecordType = this.initialSelectedRecordType || '';
             this.selectedRecordTypeName = this.initialSelectedRecordTypeName || '';
             this.formName = this.initialFormName || '';
+            this.conflictPolicy = this.initialConflictPolicy || DEFAULT_CONFLICT_POLICY;
+            this.confidenceThreshold = this.initialConfidenceThreshold ?? null;
             
             if (this.selectedObject) {
                 await this.loadRecordTypes();
@@ -120,6 +128,24 @@ export default class ObjectSelector extends LightningElement {
         this.formName = event.target.value;
     }
     
+    handleConflictPolicyChange(event) {
+        this.conflictPolicy = event.detail.value;
+    }
+    
+    handleConfidenceThresholdChange(event) {
+        const value = event.target.value;
+        this.confidenceThreshold = value === '' || value == null ? null : Number(value);
+    }
+    
+    // What happens when voice AI sends a value for a field the agent already edited
+    get conflictPolicyOptions() {
+        return [
+            { label: 'Keep the agent\'s value', value: 'Keep Manual' },
+            { label: 'Accept the AI value', value: 'Accept AI' },
+            { label: 'Show AI suggestion to accept or dismiss', value: 'Suggest' }
+        ];
+    }
+    
     // Validate selections and notify parent component
     handleContinue() {
         if (!this.selectedObject) {
@@ -142,7 +168,9 @@ export default class ObjectSelector extends LightningElement {
                 objectName: this.selectedObject,
                 recordTypeId: this.selectedRecordType,
                 recordTypeName: this.selectedRecordTypeName || 'Master',
-                formName: this.formName.trim()
+                formName: this.formName.trim(),
+                conflictPolicy: this.conflictPolicy,
+                confidenceThreshold: this.confidenceThreshold
             }
         });
         this.dispatchEvent(selectedEvent);
@@ -0,0 +1,36 @@
+import { LightningElement, api } from 'lwc';
+
+export default class PendingSuggestions extends LightningElement {
+    // [{ fieldName, fieldLabel, displayValue, confidenceLabel }]
+    @api suggestions = [];
+
+    get hasSuggestions() {
+        return this.suggestions && this.suggestions.length > 0;
+    }
+
+    get suggestionCount() {
+        return this.suggestions ? this.suggestions.length : 0;
+    }
+
+    handleAccept(event) {
+        this.dispatchFieldEvent('accept', event.currentTarget.dataset.fieldName);
+    }
+
+    handleReject(event) {
+        this.dispatchFieldEvent('reject', event.currentTarget.dataset.fieldName);
+    }
+
+    handleAcceptAll() {
+        this.dispatchEvent(new CustomEvent('acceptall'));
+    }
+
+    handleRejectAll() {
+        this.dispatchEvent(new CustomEvent('rejectall'));
+    }
+
+    dispatchFieldEvent(name, fieldName) {
+        this.dispatchEvent(new CustomEvent(name, {
+            detail: { fieldName }
+        }));
+    }
+}
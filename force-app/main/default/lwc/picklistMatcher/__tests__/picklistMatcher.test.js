@@ -0,0 +1,97 @@
+import {
+    buildSynonymIndex,
+    filterByController,
+    matchMultiPicklistValue,
+    matchPicklistValue,
+    normalizeText
+} from 'c/picklistMatcher';
+
+const entry = (value, label = value, validFor = []) => ({ value, label, validFor });
+
+const INDUSTRY = {
+    values: [
+        entry('Banking'),
+        entry('Fibre_Broadband', 'Fibre Broadband'),
+        entry('Research and Development'),
+        entry('Research Services'),
+        entry('Retail')
+    ]
+};
+
+describe('c-picklist-matcher', () => {
+    it('normalizes case and punctuation', () => {
+        expect(normalizeText('  Fibre-Broadband! ')).toBe('fibre broadband');
+        expect(normalizeText(null)).toBe('');
+    });
+
+    describe('matchPicklistValue', () => {
+        it('matches the value or the label exactly', () => {
+            expect(matchPicklistValue('fibre broadband', INDUSTRY)).toEqual({ value: 'Fibre_Broadband', error: null });
+            expect(matchPicklistValue('BANKING', INDUSTRY).value).toBe('Banking');
+        });
+
+        it('uses configured synonyms', () => {
+            const options = { synonyms: { Banking: ['finance', 'financial services'] } };
+            expect(matchPicklistValue('Financial Services', INDUSTRY, options).value).toBe('Banking');
+        });
+
+        it('matches close spellings', () => {
+            expect(matchPicklistValue('broadband', INDUSTRY).value).toBe('Fibre_Broadband');
+            expect(matchPicklistValue('bankng', INDUSTRY).value).toBe('Banking');
+        });
+
+        it('rejects a fuzzy match that ties between entries', () => {
+            expect(matchPicklistValue('research', INDUSTRY).error).toBe('no picklist value matches "research"');
+        });
+
+        it('rejects text that matches nothing', () => {
+            expect(matchPicklistValue('agriculture', INDUSTRY).value).toBeUndefined();
+            expect(matchPicklistValue('', INDUSTRY).error).toBe('no value to match');
+        });
+    });
+
+    describe('dependent picklists', () => {
+        const CITY = {
+            controllerValues: { UK: 0, US: 1 },
+            values: [entry('London', 'London', [0]), entry('Boston', 'Boston', [1])]
+        };
+
+        it('keeps only entries valid for the controlling value', () => {
+            expect(filterByController(CITY, 'UK').map(item => item.value)).toEqual(['London']);
+            expect(filterByController(CITY, null)).toHaveLength(2);
+            expect(filterByController(CITY, 'FR')).toEqual([]);
+        });
+
+        it('does not match entries of another controlling value', () => {
+            expect(matchPicklistValue('Boston', CITY, { controllerValue: 'UK' }).error)
+                .toBe('no picklist value matches "Boston"');
+            expect(matchPicklistValue('Boston', CITY, { controllerValue: 'FR' }).error)
+                .toMatch(/no picklist values are available/);
+        });
+    });
+
+    describe('matchMultiPicklistValue', () => {
+        it('matches each semicolon separated part once', () => {
+            expect(matchMultiPicklistValue('banking;Retail;banking', INDUSTRY))
+                .toEqual({ value: 'Banking;Retail', error: null });
+        });
+
+        it('keeps entries that contain "and" whole', () => {
+            expect(matchMultiPicklistValue('Research and Development', INDUSTRY).value)
+                .toBe('Research and Development');
+        });
+
+        it('splits a spoken list on "and" when the whole phrase matches nothing', () => {
+            expect(matchMultiPicklistValue('banking and retail', INDUSTRY).value).toBe('Banking;Retail');
+        });
+
+        it('reports the parts that match nothing', () => {
+            expect(matchMultiPicklistValue('banking;agriculture and mining', INDUSTRY).error)
+                .toBe('no picklist value matches "agriculture and mining"');
+        });
+    });
+
+    it('indexes synonyms by normalized text', () => {
+        expect(buildSynonymIndex({ Banking: ['Finance ', ''] })).toEqual({ finance: 'Banking' });
+    });
+});
@@ -0,0 +1,197 @@
+// Maps spoken/free text onto active picklist entries from getPicklistValuesByRecordType.
+// Matching order: exact value or label, configured synonym, then fuzzy similarity.
+
+const FUZZY_THRESHOLD = 0.75;
+// Joining words say nothing about which entry was meant ("Research and Development" vs "banking and retail")
+const STOP_WORDS = new Set(['and', 'the', 'for', 'with']);
+
+export function normalizeText(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (!a.length) {
+        return b.length;
+    }
+    if (!b.length) {
+        return a.length;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Best of whole-string similarity and per-word similarity ("broadbnd" vs "Fibre Broadband")
+function scoreCandidate(input, candidate) {
+    if (!input || !candidate) {
+        return 0;
+    }
+    const shorter = input.length < candidate.length ? input : candidate;
+    if (shorter.length > 2 && (candidate.includes(input) || input.includes(candidate))) {
+        return 0.9;
+    }
+
+    let best = similarity(input, candidate);
+    const isSignificant = word => word.length > 2 && !STOP_WORDS.has(word);
+    const inputWords = input.split(' ').filter(isSignificant);
+    candidate.split(' ').filter(isSignificant).forEach(word => {
+        inputWords.forEach(inputWord => {
+            best = Math.max(best, similarity(inputWord, word) * 0.95);
+        });
+    });
+    return best;
+}
+
+/**
+ * Build { normalizedSynonym: apiValue } from the form's configured synonyms for one field.
+ * @param {Object} fieldSynonyms { "Picklist Value": ["synonym", ...] }
+ */
+export function buildSynonymIndex(fieldSynonyms) {
+    const index = {};
+    Object.keys(fieldSynonyms || {}).forEach(value => {
+        (fieldSynonyms[value] || []).forEach(synonym => {
+            const key = normalizeText(synonym);
+            if (key) {
+                index[key] = value;
+            }
+        });
+    });
+    return index;
+}
+
+// Entries valid for the controlling field's current value (all entries when there is no controller value)
+export function filterByController(picklistInfo, controllerValue) {
+    const values = picklistInfo?.values || [];
+    const controllerValues = picklistInfo?.controllerValues || {};
+
+    if (controllerValue === null || controllerValue === undefined || controllerValue === '' ||
+        Object.keys(controllerValues).length === 0) {
+        return values;
+    }
+
+    const controllerIndex = controllerValues[String(controllerValue)];
+    if (controllerIndex === undefined) {
+        return [];
+    }
+    return values.filter(entry => (entry.validFor || []).includes(controllerIndex));
+}
+
+/**
+ * Match one piece of text to a picklist entry.
+ * @param {Object} [options] { synonyms, controllerValue, exactOnly } - exactOnly skips fuzzy matching
+ * @returns {{ value: (string|undefined), error: (string|null) }}
+ */
+export function matchPicklistValue(text, picklistInfo, options = {}) {
+    const input = normalizeText(text);
+    if (!input) {
+        return { value: undefined, error: 'no value to match' };
+    }
+
+    const candidates = filterByController(picklistInfo, options.controllerValue);
+    if (candidates.length === 0) {
+        return { value: undefined, error: 'no picklist values are available for the controlling field value' };
+    }
+
+    const exact = candidates.find(entry =>
+        normalizeText(entry.value) === input || normalizeText(entry.label) === input
+    );
+    if (exact) {
+        return { value: exact.value, error: null };
+    }
+
+    const synonymValue = buildSynonymIndex(options.synonyms)[input];
+    if (synonymValue) {
+        const synonymEntry = candidates.find(entry =>
+            entry.value === synonymValue || normalizeText(entry.label) === normalizeText(synonymValue)
+        );
+        if (synonymEntry) {
+            return { value: synonymEntry.value, error: null };
+        }
+    }
+
+    if (options.exactOnly) {
+        return { value: undefined, error: `no picklist value matches "${text}"` };
+    }
+
+    let bestEntry = null;
+    let bestScore = 0;
+    let isTied = false;
+    candidates.forEach(entry => {
+        const score = Math.max(
+            scoreCandidate(input, normalizeText(entry.label)),
+            scoreCandidate(input, normalizeText(entry.value))
+        );
+        if (score > bestScore) {
+            bestEntry = entry;
+            bestScore = score;
+            isTied = false;
+        } else if (score === bestScore && score > 0) {
+            isTied = true;
+        }
+    });
+
+    if (bestEntry && bestScore >= FUZZY_THRESHOLD && !isTied) {
+        return { value: bestEntry.value, error: null };
+    }
+    return { value: undefined, error: `no picklist value matches "${text}"` };
+}
+
+// A spoken list ("email and phone") is split on "and" only when the whole phrase is not an entry and every
+// piece matches one; the whole phrase is matched fuzzily last, since "and" alone looks like any "... and ..." entry
+function matchSpokenList(part, picklistInfo, options) {
+    const exact = matchPicklistValue(part, picklistInfo, { ...options, exactOnly: true });
+    if (!exact.error) {
+        return [exact.value];
+    }
+
+    const pieces = part.split(/\band\b/i).filter(piece => piece.trim());
+    if (pieces.length > 1) {
+        const results = pieces.map(piece => matchPicklistValue(piece, picklistInfo, options));
+        if (results.every(result => !result.error)) {
+            return results.map(result => result.value);
+        }
+    }
+
+    const fuzzy = matchPicklistValue(part, picklistInfo, options);
+    return fuzzy.error ? null : [fuzzy.value];
+}
+
+// Multi-select values arrive semicolon separated from the converter
+export function matchMultiPicklistValue(text, picklistInfo, options = {}) {
+    const parts = String(text ?? '').split(';').filter(part => part.trim());
+    const matched = [];
+    const unmatched = [];
+
+    parts.forEach(part => {
+        const values = matchSpokenList(part, picklistInfo, options);
+        if (!values) {
+            unmatched.push(part.trim());
+            return;
+        }
+        values.filter(value => !matched.includes(value)).forEach(value => matched.push(value));
+    });
+
+    if (unmatched.length > 0) {
+        return { value: undefined, error: `no picklist value matches "${unmatched.join('", "')}"` };
+    }
+    return { value: matched.join(';'), error: null };
+}
@@ -0,0 +1,66 @@
+// Questions the next question panel prompts the agent with (Dynamic_Field_Analysis__c.Question_Templates__c).
+// Configured templates win; other fields get a question built from their label and type.
+
+const MAX_LISTED_CHOICES = 4;
+
+// Field types arrive raw from the builder (PICKLIST) and formatted from the saved analysis (Picklist)
+const CHECKBOX_TYPES = ['BOOLEAN', 'Checkbox'];
+
+function listChoices(values) {
+    return values.length > 1
+        ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}`
+        : values[0];
+}
+
+// field: { fieldName, fieldLabel, fieldType, picklistValues }
+export function defaultQuestion(field) {
+    const label = field?.fieldLabel || field?.fieldName || '';
+    const choices = field?.picklistValues || [];
+    if (CHECKBOX_TYPES.includes(field?.fieldType)) {
+        return `Can you confirm ${label}?`;
+    }
+    if (choices.length > 0 && choices.length <= MAX_LISTED_CHOICES) {
+        return `What is the ${label}: ${listChoices(choices)}?`;
+    }
+    return `What is the ${label}?`;
+}
+
+export function getQuestion(templates, field) {
+    const template = templates?.[field?.fieldName];
+    return template && template.trim() ? template.trim() : defaultQuestion(field);
+}
+
+// Field details by API name from the analysis report ({ fieldsDetails: { "Section": [{ fieldName, ... }] } })
+export function parseFieldDetails(analysisJson) {
+    if (!analysisJson) {
+        return {};
+    }
+    try {
+        const report = JSON.parse(analysisJson);
+        const details = {};
+        Object.values(report?.fieldsDetails || {}).forEach(sectionFields => {
+            (sectionFields || []).forEach(field => {
+                if (field && field.fieldName) {
+                    details[field.fieldName] = field;
+                }
+            });
+        });
+        return details;
+    } catch (error) {
+        console.error('Error parsing field analysis details:', error);
+        return {};
+    }
+}
+
+export function parseQuestionTemplates(templatesJson) {
+    if (!templatesJson) {
+        return {};
+    }
+    try {
+        const templates = JSON.parse(templatesJson);
+        return templates && typeof templates === 'object' && !Array.isArray(templates) ? templates : {};
+    } catch (error) {
+        console.error('Error parsing question templates:', error);
+        return {};
+    }
+}
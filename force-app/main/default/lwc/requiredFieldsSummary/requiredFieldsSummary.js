@@ -0,0 +1,23 @@
+import { LightningElement, api } from 'lwc';
+
+export default class RequiredFieldsSummary extends LightningElement {
+    // [{ fieldName, fieldLabel, sectionName }]
+    @api missingFields = [];
+
+    get missingCount() {
+        return this.missingFields ? this.missingFields.length : 0;
+    }
+
+    get heading() {
+        return this.missingCount === 1
+            ? '1 required field is missing'
+            : `${this.missingCount} required fields are missing`;
+    }
+
+    handleJump(event) {
+        event.preventDefault();
+        this.dispatchEvent(new CustomEvent('jump', {
+            detail: { fieldName: event.currentTarget.dataset.fieldName }
+        }));
+    }
+}
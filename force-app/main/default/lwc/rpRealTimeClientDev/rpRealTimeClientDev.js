@@ -3,17 +3,34 @@ import { publish, MessageContext, subscribe } from 'lightning/messageService';
 import signalRManager from 'c/signalRManagerDev';
 import TRANSCRIPTMC from "@salesforce/messageChannel/rocketphone__TRANSCRIPTMC__c";
 import RPISTOLWC from "@salesforce/messageChannel/FORMMC__c";
+import updateFormField from '@salesforce/apex/TestLWCConnection.updateFormField';
+import saveIncomingFormData from '@salesforce/apex/DraftFormService.saveIncomingFormData';
+
+// Call lifecycle states published on FORMMC; provider statuses not listed are passed through lower-cased
+const CALL_STATUS_ALIASES = {
+    connected: ['connected', 'answered', 'in-progress', 'inprogress', 'active'],
+    ended: ['ended', 'completed', 'disconnected', 'hangup', 'hung-up', 'terminated']
+};
 
 export default class RpRealTimeClientDev extends LightningElement {
     @wire(MessageContext)
     context;
+    // Bookmarks already published; the call's bookmark list is sent again after a reconnect
     capturedBookmark = [];
     beaconData;
     transcriptSubscription = null;
+    formSubscription = null;
     @track currentCallRecordId = null;
+    // Open RocketForm instances reported over FORMMC, by instance ID: { externalFormId, isLoading }
+    liveForms = new Map();
+    // Voice batches for forms that are not open, held while a form is still loading in case it turns out to be theirs
+    heldFormData = [];
 
     connectedCallback() {
         this.subscribeTranscriptMC();
+        this.subscribeFormMC();
+        // Forms opened before this component ask for nothing, so have them report in
+        publish(this.context, RPISTOLWC, { type: 'formPresenceRequest', title: 'rpRealTimeClientDev' });
     }
 
     subscribeTranscriptMC() {
@@ -26,6 +43,135 @@ export default class RpRealTimeClientDev extends LightningElement {
         });
     }
 
+    // Forms report the agent's own edits on FORMMC; everything else on the channel is published by this component
+    subscribeFormMC() {
+        if (this.formSubscription) {
+            return;
+        }
+        this.formSubscription = subscribe(this.context, RPISTOLWC, (message) => {
+            if (message?.type === 'fieldUpdatedByAgent') {
+                this.sendAgentEdit(message);
+            } else if (message?.type === 'formPresence') {
+                this.updateLiveForm(message);
+            }
+        });
+    }
+
+    updateLiveForm(message) {
+        if (!message.instanceId) {
+            return;
+        }
+        if (message.isOpen) {
+            this.liveForms.set(message.instanceId, {
+                externalFormId: message.externalFormId || null,
+                isLoading: !!message.isLoading
+            });
+        } else {
+            this.liveForms.delete(message.instanceId);
+        }
+        this.releaseHeldFormData();
+    }
+
+    isFormOpen(externalFormId) {
+        return [...this.liveForms.values()].some(form => form.externalFormId === externalFormId);
+    }
+
+    isAnyFormLoading() {
+        return [...this.liveForms.values()].some(form => form.isLoading);
+    }
+
+    // Open forms apply their own batches live; a batch nobody claims is stored once on its form's draft
+    routeFormData(formData) {
+        const externalFormId = formData?.activeFormId;
+        if (!externalFormId || !formData.formData || this.isFormOpen(externalFormId)) {
+            return;
+        }
+        if (this.isAnyFormLoading()) {
+            this.heldFormData = [...this.heldFormData, formData];
+            return;
+        }
+        this.storeIncomingFormData(externalFormId, formData.formData);
+    }
+
+    releaseHeldFormData() {
+        const stillHeld = this.heldFormData.filter(formData => !this.isFormOpen(formData.activeFormId));
+        if (this.isAnyFormLoading()) {
+            this.heldFormData = stillHeld;
+            return;
+        }
+        this.heldFormData = [];
+        stillHeld.forEach(formData => this.storeIncomingFormData(formData.activeFormId, formData.formData));
+    }
+
+    async storeIncomingFormData(externalFormId, payload) {
+        try {
+            const incomingData = {
+                ...this.findFormContext(externalFormId),
+                payload: payload
+            };
+            const draftRecordId = await saveIncomingFormData({
+                externalFormId: externalFormId,
+                incomingDataJson: JSON.stringify(incomingData)
+            });
+            // No draft holds the data (form submitted, or no context to create one)
+            if (!draftRecordId) {
+                return;
+            }
+            // Lets the form dashboard flag the form as having new data
+            publish(this.context, RPISTOLWC, {
+                type: 'incomingDataStored',
+                externalFormId: externalFormId,
+                title: 'rpRealTimeClientDev'
+            });
+        } catch (error) {
+            console.error('rpRealTimeClientQA: Error storing form data for a closed form:', error);
+        }
+    }
+
+    // Form details from the form's last session data, so the server can create its draft if needed
+    findFormContext(externalFormId) {
+        try {
+            for (let i = 0; i < sessionStorage.length; i++) {
+                const sessionData = JSON.parse(sessionStorage.getItem(sessionStorage.key(i)) || 'null');
+                if (sessionData && sessionData.externalFormId === externalFormId && sessionData.formId) {
+                    return {
+                        formId: sessionData.formId,
+                        formName: sessionData.formName,
+                        objectName: sessionData.objectApiName,
+                        sourceRecordId: sessionData.recordId,
+                        callRecordId: sessionData.callRecordId
+                    };
+                }
+            }
+        } catch (error) {
+            console.warn('rpRealTimeClientQA: Error reading session data for form context:', error);
+        }
+        return {};
+    }
+
+    // Sent over the open WebSocket in the same { event, data } shape the server pushes; the REST endpoint
+    // covers the time the socket is down so corrections made during a reconnect are not lost
+    async sendAgentEdit(message) {
+        const agentEdit = {
+            version: message.version,
+            callRecordId: message.callRecordId || this.currentCallRecordId,
+            externalFormId: message.externalFormId,
+            formId: message.formId,
+            fieldName: message.fieldName,
+            value: message.value,
+            sequence: message.sequence,
+            timestamp: message.timestamp
+        };
+        if (this.isConnected() && this.sendMessage({ event: 'FieldUpdatedByAgent', data: agentEdit })) {
+            return;
+        }
+        try {
+            await updateFormField({ requestString: JSON.stringify(agentEdit) });
+        } catch (error) {
+            console.error('rpRealTimeClientQA: Error sending agent edit:', error);
+        }
+    }
+
     async handleTranscriptMessage(message) {
         try {
             if (message?.callRecordId && (this.currentCallRecordId == null || this.currentCallRecordId == '' || message?.callRecordId !== this.currentCallRecordId)) {
@@ -53,6 +199,14 @@ export default class RpRealTimeClientDev extends LightningElement {
         signalRManager.on('CallStatusChanged', (data) => {
             const normalizedData = JSON.stringify(data, null, '\t');
             console.log('rpRealTimeClientQA: CallStatusChanged event received: ', normalizedData);
+            const callStatus = this.normalizeCallStatus(data);
+            if (callStatus) {
+                publish(this.context, RPISTOLWC, {
+                    type: 'callStatus',
+                    title: 'rpRealTimeClientDev',
+                    ...callStatus
+                });
+            }
         });
 
         signalRManager.on('UserStatusUpdate', (data) => {
@@ -69,11 +223,34 @@ export default class RpRealTimeClientDev extends LightningElement {
             const normalizedData = JSON.stringify(data, null, '\t');
             console.log('rpRealTimeClientQA: RPBookmarkTriggered data: ', data);
             console.log('rpRealTimeClientQA: RPBookmarkTriggered normalizedData: ', normalizedData);
-
+            this.handleBookmarkResponse(data);
         });
 
         signalRManager.on('RCTranscription', (transcriptData) => {
             console.log('rpRealTimeClientQA: RCTranscription event received: ', transcriptData);
+            const segment = this.normalizeTranscript(transcriptData);
+            if (segment) {
+                publish(this.context, RPISTOLWC, {
+                    type: 'transcriptSegment',
+                    title: 'rpRealTimeClientDev',
+                    callRecordId: this.currentCallRecordId,
+                    segment: segment
+                });
+            }
+        });
+
+        signalRManager.on('DetectedQuestions', (questionData) => {
+            console.log('rpRealTimeClientQA: DetectedQuestions event received: ', questionData);
+            const detected = this.normalizeDetectedQuestions(questionData);
+            if (detected.questions.length > 0) {
+                publish(this.context, RPISTOLWC, {
+                    type: 'detectedQuestions',
+                    title: 'rpRealTimeClientDev',
+                    callRecordId: this.currentCallRecordId,
+                    activeFormId: detected.activeFormId,
+                    questions: detected.questions
+                });
+            }
         });
 
         signalRManager.on('FormDataExtracted', (formData) => {
@@ -85,6 +262,7 @@ export default class RpRealTimeClientDev extends LightningElement {
                 }
             console.log('rpRealTimeClientQA: FormDataExtracted inProgressFormData: ', JSON.stringify(inProgressFormData, null, 2));
             publish(this.context, RPISTOLWC, inProgressFormData);
+            this.routeFormData(formData);
         });
 
         // Additional WebSocket-specific event handlers
@@ -98,27 +276,123 @@ export default class RpRealTimeClientDev extends LightningElement {
 
     }
 
+    // Forms act on 'connected' (suggest forms for the caller) and 'ended' (save drafts for wrap-up)
+    normalizeCallStatus(data) {
+        const rawStatus = String(data?.status || data?.callStatus || '').trim().toLowerCase();
+        if (!rawStatus) {
+            return null;
+        }
+        const status = Object.keys(CALL_STATUS_ALIASES)
+            .find(key => CALL_STATUS_ALIASES[key].includes(rawStatus)) || rawStatus;
+        
+        const callRecordId = data.callRecordId || data.callId || this.currentCallRecordId;
+        if (callRecordId && status !== 'ended') {
+            this.currentCallRecordId = callRecordId;
+        }
+        return {
+            status: status,
+            callRecordId: callRecordId,
+            callerRecordId: data.callerRecordId || data.whoId || data.contactId || null,
+            callerNumber: data.callerNumber || data.fromNumber || data.phoneNumber || null
+        };
+    }
+
+    // Transcription payloads vary by provider; forms only need an ID, speaker, text and time per utterance.
+    // Interim results reuse the ID of the utterance they refine so the form replaces rather than appends them
+    normalizeTranscript(transcriptData) {
+        try {
+            const data = typeof transcriptData === 'string' ? JSON.parse(transcriptData) : transcriptData;
+            const text = data?.text || data?.transcript || data?.content;
+            if (!text) {
+                return null;
+            }
+            const timestamp = data.timestamp || data.startTime || Date.now();
+            return {
+                id: String(data.id || data.utteranceId || data.segmentId || `${this.currentCallRecordId || 'call'}-${timestamp}`),
+                speaker: data.speaker || data.participant || data.channel || '',
+                text: String(text).trim(),
+                timestamp: timestamp,
+                isFinal: data.isFinal !== false
+            };
+        } catch (error) {
+            console.error('rpRealTimeClientQA: Error reading RCTranscription payload:', error);
+            return null;
+        }
+    }
+
+    // Questions the AI thinks the agent should ask next, as a list or { activeFormId, questions: [...] }.
+    // Entries may be plain strings or name the field they would fill
+    normalizeDetectedQuestions(questionData) {
+        try {
+            const data = typeof questionData === 'string' ? JSON.parse(questionData) : questionData;
+            const entries = Array.isArray(data) ? data : (data?.questions || data?.detectedQuestions || []);
+            const questions = entries
+                .map(entry => (typeof entry === 'string' ? { text: entry } : entry))
+                .map(entry => ({
+                    text: String(entry?.question || entry?.text || '').trim(),
+                    fieldName: entry?.fieldName || entry?.field || entry?.apiName || null,
+                    id: entry?.id
+                }))
+                .filter(entry => entry.text)
+                .map(entry => ({ ...entry, id: String(entry.id || entry.fieldName || entry.text) }));
+            return { activeFormId: data?.activeFormId || null, questions };
+        } catch (error) {
+            console.error('rpRealTimeClientQA: Error reading DetectedQuestions payload:', error);
+            return { activeFormId: null, questions: [] };
+        }
+    }
+
+    // Events carry either one bookmark or the call's whole list ({ callData: { id, bookmarks, actions } });
+    // each bookmark is published once, forms map its type to an action
     handleBookmarkResponse(data) {
         console.log("rpRealTimeClientQA handleBookmarkResponse data: ", data);
-        if (data) {
-            const { callData: { id: callRecordId, actions: rawActions, bookmarks } } = data;
-            console.log("rpRealTimeClientQA data actions", rawActions);
-
-            if (bookmarks?.length > 0) {
-                const lastBookmark = bookmarks[bookmarks.length - 1];
-                let lastBookmarkObject = { rpCallId: callRecordId, bookmarkData: lastBookmark };
-                let bookmarkObject = { bookmarkType: 'All', bookmarkData: lastBookmark, rpCallId: callRecordId };
-                console.log("rpRealTimeClientQA handleBookmarkResponse bookmarkObject: ", bookmarkObject);
+        try {
+            const payload = typeof data === 'string' ? JSON.parse(data) : data;
+            if (!payload) {
+                return;
             }
+            const callData = payload.callData;
+            const entries = callData ? [...(callData.bookmarks || []), ...(callData.actions || [])] : [payload];
+            const callRecordId = callData?.id || payload.callRecordId || this.currentCallRecordId;
 
-            if (rawActions?.length > 0) {
-                const lastElement = rawActions[rawActions.length - 1];
-                let isExist = this.capturedBookmark.find(b => b?.id === lastElement.id);
-                if (isExist) {
+            entries.forEach(entry => {
+                const bookmark = this.normalizeBookmark(entry);
+                if (!bookmark || this.capturedBookmark.some(captured => captured.id === bookmark.id)) {
                     return;
                 }
-            }
+                this.capturedBookmark.push(bookmark);
+                publish(this.context, RPISTOLWC, {
+                    type: 'bookmark',
+                    title: 'rpRealTimeClientDev',
+                    callRecordId: callRecordId,
+                    // Set when the bookmark was made against one form rather than the whole call
+                    externalFormId: entry.activeFormId || entry.externalFormId || payload.activeFormId || null,
+                    bookmark: bookmark
+                });
+            });
+        } catch (error) {
+            console.error('rpRealTimeClientQA: Error reading RPBookmarkTriggered payload:', error);
+        }
+    }
+
+    // Bookmarks without an ID are keyed by type and time so a repeated delivery is still recognised
+    normalizeBookmark(entry) {
+        const bookmarkType = entry?.bookmarkType || entry?.type || entry?.name || entry?.label;
+        if (!bookmarkType) {
+            return null;
+        }
+        const timestamp = entry.timestamp || entry.createdAt || entry.time || null;
+        const id = entry.id || entry.bookmarkId || (timestamp ? `${bookmarkType}-${timestamp}` : null);
+        if (!id) {
+            return null;
         }
+        return {
+            id: String(id),
+            bookmarkType: String(bookmarkType),
+            label: entry.label || entry.name || String(bookmarkType),
+            note: entry.note || entry.description || entry.comment || entry.text || '',
+            timestamp: timestamp || Date.now()
+        };
     }
 
     // Method to send messages to WebSocket
@@ -1,24 +1,52 @@
 import { LightningElement, api, track } from 'lwc';
 import getObjectFields from '@salesforce/apex/FieldService.getObjectFields';
+import getChildObjects from '@salesforce/apex/ObjectService.getChildObjects';
+import {
+    RULE_TARGET_TYPES,
+    VISIBILITY_OPERATORS,
+    operatorNeedsValue,
+    getOperatorLabel
+} from 'c/visibilityRules';
+
+// Dynamic_Field_Instructions__c.Section_Type__c values
+const SECTION_TYPES = {
+    FIELDS: 'Fields',
+    CHILD_RECORDS: 'Child Records'
+};
+
+const EMPTY_RULE = {
+    targetType: RULE_TARGET_TYPES.FIELD,
+    target: '',
+    field: '',
+    operator: 'equals',
+    value: ''
+};
 
 export default class SectionBuilder extends LightningElement {
     @api selectedObject;
     @api selectedRecordType;
     @api selectedRecordTypeName;
     @api initialSections;
+    @api initialVisibilityRules;
     
     @track availableFields = [];
+    @track childObjectOptions = [];
+    @track childFieldOptions = [];
+    @track isLoadingChildFields = false;
     @track allocatedFields = [];
     @track sections = [];
     @track currentSection = null;
     @track isLoadingFields = false;
+    @track visibilityRules = [];
+    @track newRule = { ...EMPTY_RULE };
     
     nextSectionOrder = 1;
     nextTempId = 1;
+    nextRuleId = 1;
     @track isInitialized = false;
     
     async connectedCallback() {
-        await this.loadObjectFields();
+        await Promise.all([this.loadObjectFields(), this.loadChildObjects()]);
         this.initializeFromParentData();
     }
     
@@ -41,25 +69,70 @@ export default class SectionBuilder extends LightningElement {
         }
     }
     
+    // Related objects that can be added as repeatable Child Records sections
+    async loadChildObjects() {
+        if (!this.selectedObject) return;
+        
+        try {
+            this.childObjectOptions = await getChildObjects({ objectName: this.selectedObject });
+        } catch (error) {
+            console.error('Error loading child objects:', error);
+            this.dispatchErrorEvent('Failed to load related objects: ' + this.getErrorMessage(error));
+        }
+    }
+    
+    // The relationship field is set from the parent on save, so it is not offered as a row field
+    async loadChildFields(childObject, relationshipField) {
+        this.isLoadingChildFields = true;
+        try {
+            const fields = await getObjectFields({ objectName: childObject });
+            this.childFieldOptions = fields
+                .filter(field => field.value !== relationshipField)
+                .map(field => ({
+                    label: field.label,
+                    value: field.value
+                }));
+        } catch (error) {
+            console.error('Error loading child fields:', error);
+            this.childFieldOptions = [];
+            this.dispatchErrorEvent('Failed to load related object fields: ' + this.getErrorMessage(error));
+        } finally {
+            this.isLoadingChildFields = false;
+        }
+    }
+    
+    getChildObjectLabel(childObject, relationshipField) {
+        const option = this.childObjectOptions.find(child =>
+            child.childObject === childObject && child.relationshipField === relationshipField
+        );
+        return option ? option.label : childObject;
+    }
+    
     // Restore existing sections when editing (only once)
     initializeFromParentData() {
         if (!this.isInitialized && this.initialSections && this.initialSections.length > 0) {
-            this.sections = this.initialSections.map(section => ({
+            this.sections = this.initialSections.map(section => this.decorateSection({
                 id: 'temp_' + this.nextTempId++,
                 sectionOrder: section.stepNumber,
                 sectionName: section.text,
                 selectedFields: section.fields || [],
-                fieldsList: (section.fields || []).join(', '),
+                sectionType: section.sectionType || SECTION_TYPES.FIELDS,
+                childObject: section.childObject,
+                relationshipField: section.relationshipField,
                 isEditing: false
             })).sort((a, b) => a.sectionOrder - b.sectionOrder);
             
-            // Track which fields are already allocated to sections
+            // Track which fields are already allocated to sections (child rows use another object's fields)
             this.allocatedFields = [];
-            this.sections.forEach(section => {
+            this.sections.filter(section => !section.isChildSection).forEach(section => {
                 this.allocatedFields.push(...section.selectedFields);
             });
             
             this.nextSectionOrder = Math.max(...this.sections.map(s => s.sectionOrder)) + 1;
+            this.visibilityRules = (this.initialVisibilityRules || []).map(rule => ({
+                ...rule,
+                id: 'rule_' + this.nextRuleId++
+            }));
             this.isInitialized = true;
         }
     }
@@ -71,6 +144,41 @@ export default class SectionBuilder extends LightningElement {
         );
     }
     
+    // Display helpers shared by new, edited and restored sections
+    decorateSection(section) {
+        const isChildSection = section.sectionType === SECTION_TYPES.CHILD_RECORDS;
+        return {
+            ...section,
+            isChildSection: isChildSection,
+            childObjectLabel: isChildSection ? this.getChildObjectLabel(section.childObject, section.relationshipField) : '',
+            fieldsList: section.selectedFields.join(', ')
+        };
+    }
+    
+    get sectionTypeOptions() {
+        return [
+            { label: 'Fields', value: SECTION_TYPES.FIELDS },
+            { label: 'Child Records', value: SECTION_TYPES.CHILD_RECORDS }
+        ];
+    }
+    
+    get isChildSectionForm() {
+        return this.currentSection?.sectionType === SECTION_TYPES.CHILD_RECORDS;
+    }
+    
+    get currentChildObjectKey() {
+        const section = this.currentSection;
+        return section?.childObject ? `${section.childObject}.${section.relationshipField}` : '';
+    }
+    
+    get hasChildObjectOptions() {
+        return this.childObjectOptions.length > 0;
+    }
+    
+    get showChildFieldPicker() {
+        return !!this.currentSection?.childObject && !this.isLoadingChildFields;
+    }
+    
     get hasAvailableFields() {
         return this.unallocatedFields.length > 0;
     }
@@ -92,11 +200,11 @@ export default class SectionBuilder extends LightningElement {
     }
     
     get addSectionDisabled() {
-        return this.currentSection !== null || this.unallocatedFields.length === 0;
+        return this.currentSection !== null || (this.unallocatedFields.length === 0 && !this.hasChildObjectOptions);
     }
     
     handleAddSection() {
-        if (this.unallocatedFields.length === 0) {
+        if (this.unallocatedFields.length === 0 && !this.hasChildObjectOptions) {
             this.dispatchErrorEvent('No available fields to add to a new section');
             return;
         }
@@ -106,12 +214,51 @@ export default class SectionBuilder extends LightningElement {
             sectionOrder: this.nextSectionOrder++,
             sectionName: '',
             selectedFields: [],
+            sectionType: this.unallocatedFields.length > 0 ? SECTION_TYPES.FIELDS : SECTION_TYPES.CHILD_RECORDS,
+            childObject: null,
+            relationshipField: null,
             isEditing: true
         };
     }
     
+    // Switching type clears the field choice since the two types list different objects' fields
+    handleSectionTypeChange(event) {
+        const sectionNameInput = this.template.querySelector('[data-section-name]');
+        this.currentSection = {
+            ...this.currentSection,
+            sectionName: sectionNameInput ? sectionNameInput.value : this.currentSection.sectionName,
+            sectionType: event.detail.value,
+            selectedFields: [],
+            childObject: null,
+            relationshipField: null
+        };
+        this.childFieldOptions = [];
+    }
+    
+    async handleChildObjectChange(event) {
+        const option = this.childObjectOptions.find(child => child.value === event.detail.value);
+        if (!option) {
+            return;
+        }
+        
+        const sectionNameInput = this.template.querySelector('[data-section-name]');
+        this.currentSection = {
+            ...this.currentSection,
+            sectionName: sectionNameInput ? sectionNameInput.value : this.currentSection.sectionName,
+            childObject: option.childObject,
+            relationshipField: option.relationshipField,
+            selectedFields: []
+        };
+        await this.loadChildFields(option.childObject, option.relationshipField);
+    }
+    
     // Validate and save new/edited section
     handleSaveSection() {
+        if (this.isChildSectionForm && !this.currentSection.childObject) {
+            this.dispatchErrorEvent('Please select the related object for this section');
+            return;
+        }
+        
         const sectionNameInput = this.template.querySelector('[data-section-name]');
         const sectionFieldsInput = this.template.querySelector('[data-section-fields]');
         
@@ -140,15 +287,26 @@ export default class SectionBuilder extends LightningElement {
             return;
         }
         
-        this.allocatedFields = [...this.allocatedFields, ...selectedFields];
+        if (!this.isChildSectionForm) {
+            this.allocatedFields = [...this.allocatedFields, ...selectedFields];
+        }
+        
+        // Keep section rules pointing at a renamed section
+        const previousName = this.currentSection.sectionName;
+        if (previousName && previousName !== sectionName.trim()) {
+            this.visibilityRules = this.visibilityRules.map(rule => (
+                rule.targetType === RULE_TARGET_TYPES.SECTION && rule.target === previousName
+                    ? { ...rule, target: sectionName.trim() }
+                    : rule
+            ));
+        }
         
-        const newSection = {
+        const newSection = this.decorateSection({
             ...this.currentSection,
             sectionName: sectionName.trim(),
             selectedFields: selectedFields,
-            fieldsList: selectedFields.join(', '),
             isEditing: false
-        };
+        });
         
         this.sections = [...this.sections, newSection].sort((a, b) => a.sectionOrder - b.sectionOrder);
         this.currentSection = null;
@@ -166,9 +324,11 @@ export default class SectionBuilder extends LightningElement {
         
         if (sectionToEdit) {
             // Free up fields for reallocation
-            this.allocatedFields = this.allocatedFields.filter(field => 
-                !sectionToEdit.selectedFields.includes(field)
-            );
+            if (!sectionToEdit.isChildSection) {
+                this.allocatedFields = this.allocatedFields.filter(field => 
+                    !sectionToEdit.selectedFields.includes(field)
+                );
+            }
             
             this.sections = this.sections.filter(s => s.id !== sectionId);
             
@@ -176,6 +336,10 @@ export default class SectionBuilder extends LightningElement {
                 ...sectionToEdit,
                 isEditing: true
             };
+            
+            if (sectionToEdit.isChildSection) {
+                this.loadChildFields(sectionToEdit.childObject, sectionToEdit.relationshipField);
+            }
         }
     }
     
@@ -186,11 +350,16 @@ export default class SectionBuilder extends LightningElement {
         
         if (sectionToDelete) {
             // Free up fields from deleted section
-            this.allocatedFields = this.allocatedFields.filter(field => 
-                !sectionToDelete.selectedFields.includes(field)
-            );
+            if (!sectionToDelete.isChildSection) {
+                this.allocatedFields = this.allocatedFields.filter(field => 
+                    !sectionToDelete.selectedFields.includes(field)
+                );
+            }
             
             this.sections = this.sections.filter(s => s.id !== sectionId);
+            this.visibilityRules = this.visibilityRules.filter(rule =>
+                !(rule.targetType === RULE_TARGET_TYPES.SECTION && rule.target === sectionToDelete.sectionName)
+            );
             
             // Renumber sections after deletion
             this.sections = this.sections.map((section, index) => ({
@@ -246,21 +415,19 @@ export default class SectionBuilder extends LightningElement {
             return;
         }
         
-        const allSelectedFields = [];
-        this.sections.forEach(section => {
-            allSelectedFields.push(...section.selectedFields);
-        });
+        const allSelectedFields = this.getAllSelectedFields();
+        if (allSelectedFields.length === 0) {
+            this.dispatchErrorEvent(`Please create at least one section with ${this.selectedObject} fields`);
+            return;
+        }
         
-        const sectionsForBackend = this.sections.map(section => ({
-            stepNumber: section.sectionOrder,
-            text: section.sectionName,
-            fields: section.selectedFields
-        }));
+        const sectionsForBackend = this.getSectionsForBackend();
         
         const sectionsEvent = new CustomEvent('sectionscreated', {
             detail: {
                 sections: sectionsForBackend,
-                allSelectedFields: allSelectedFields
+                allSelectedFields: allSelectedFields,
+                visibilityRules: this.getVisibilityRulesForBackend()
             }
         });
         this.dispatchEvent(sectionsEvent);
@@ -269,21 +436,14 @@ export default class SectionBuilder extends LightningElement {
     // Sync current sections when navigating back
     handleGoBack() {
         if (this.sections.length > 0) {
-            const allSelectedFields = [];
-            this.sections.forEach(section => {
-                allSelectedFields.push(...section.selectedFields);
-            });
-            
-            const sectionsForBackend = this.sections.map(section => ({
-                stepNumber: section.sectionOrder,
-                text: section.sectionName,
-                fields: section.selectedFields
-            }));
+            const allSelectedFields = this.getAllSelectedFields();
+            const sectionsForBackend = this.getSectionsForBackend();
             
             const syncEvent = new CustomEvent('sectionssync', {
                 detail: {
                     sections: sectionsForBackend,
-                    allSelectedFields: allSelectedFields
+                    allSelectedFields: allSelectedFields,
+                    visibilityRules: this.getVisibilityRulesForBackend()
                 }
             });
             this.dispatchEvent(syncEvent);
@@ -293,6 +453,141 @@ export default class SectionBuilder extends LightningElement {
         this.dispatchEvent(backEvent);
     }
     
+    // Visibility rule options only offer fields and sections that are on the form
+    get ruleTargetTypeOptions() {
+        return [
+            { label: 'Field', value: RULE_TARGET_TYPES.FIELD },
+            { label: 'Section', value: RULE_TARGET_TYPES.SECTION }
+        ];
+    }
+    
+    get sectionFieldOptions() {
+        return this.allocatedFields.map(fieldName => ({
+            label: this.getFieldLabel(fieldName),
+            value: fieldName
+        }));
+    }
+    
+    get ruleTargetOptions() {
+        if (this.newRule.targetType === RULE_TARGET_TYPES.SECTION) {
+            return this.sections.map(section => ({
+                label: section.sectionName,
+                value: section.sectionName
+            }));
+        }
+        return this.sectionFieldOptions;
+    }
+    
+    get ruleOperatorOptions() {
+        return VISIBILITY_OPERATORS;
+    }
+    
+    get ruleNeedsValue() {
+        return operatorNeedsValue(this.newRule.operator);
+    }
+    
+    get isAddRuleDisabled() {
+        const { target, field, operator, value } = this.newRule;
+        if (!target || !field || !operator || target === field) {
+            return true;
+        }
+        return this.ruleNeedsValue && !String(value || '').trim();
+    }
+    
+    get hasVisibilityRules() {
+        return this.visibilityRules.length > 0;
+    }
+    
+    get visibilityRuleList() {
+        return this.visibilityRules.map(rule => {
+            const targetLabel = rule.targetType === RULE_TARGET_TYPES.SECTION
+                ? `${rule.target} section`
+                : this.getFieldLabel(rule.target);
+            const condition = operatorNeedsValue(rule.operator)
+                ? `${getOperatorLabel(rule.operator)} "${rule.value}"`
+                : getOperatorLabel(rule.operator);
+            return {
+                id: rule.id,
+                description: `Show ${targetLabel} when ${this.getFieldLabel(rule.field)} ${condition}`
+            };
+        });
+    }
+    
+    handleRuleInputChange(event) {
+        const property = event.target.dataset.ruleProperty;
+        const updated = { ...this.newRule, [property]: event.detail.value };
+        
+        // Targets of the other type are not valid after switching
+        if (property === 'targetType') {
+            updated.target = '';
+        }
+        if (property === 'operator' && !operatorNeedsValue(updated.operator)) {
+            updated.value = '';
+        }
+        this.newRule = updated;
+    }
+    
+    handleAddRule() {
+        if (this.isAddRuleDisabled) {
+            this.dispatchErrorEvent('Choose what to show, the controlling field and a value for the rule');
+            return;
+        }
+        
+        this.visibilityRules = [...this.visibilityRules, {
+            ...this.newRule,
+            value: this.ruleNeedsValue ? String(this.newRule.value).trim() : '',
+            id: 'rule_' + this.nextRuleId++
+        }];
+        this.newRule = { ...EMPTY_RULE };
+    }
+    
+    handleDeleteRule(event) {
+        const ruleId = event.target.dataset.id;
+        this.visibilityRules = this.visibilityRules.filter(rule => rule.id !== ruleId);
+    }
+    
+    // Drop rules whose field or section was removed from the form
+    getVisibilityRulesForBackend() {
+        const sectionNames = this.sections.map(section => section.sectionName);
+        return this.visibilityRules
+            .filter(rule => this.allocatedFields.includes(rule.field))
+            .filter(rule => (rule.targetType === RULE_TARGET_TYPES.SECTION
+                ? sectionNames.includes(rule.target)
+                : this.allocatedFields.includes(rule.target)))
+            .map(rule => ({
+                targetType: rule.targetType,
+                target: rule.target,
+                field: rule.field,
+                operator: rule.operator,
+                value: rule.value
+            }));
+    }
+    
+    getFieldLabel(fieldName) {
+        const field = this.availableFields.find(option => option.value === fieldName);
+        return field ? field.label : fieldName;
+    }
+    
+    // Only fields of the form's own object; child rows are saved as separate records
+    getAllSelectedFields() {
+        const allSelectedFields = [];
+        this.sections.filter(section => !section.isChildSection).forEach(section => {
+            allSelectedFields.push(...section.selectedFields);
+        });
+        return allSelectedFields;
+    }
+    
+    getSectionsForBackend() {
+        return this.sections.map(section => ({
+            stepNumber: section.sectionOrder,
+            text: section.sectionName,
+            fields: section.selectedFields,
+            sectionType: section.sectionType || SECTION_TYPES.FIELDS,
+            childObject: section.isChildSection ? section.childObject : null,
+            relationshipField: section.isChildSection ? section.relationshipField : null
+        }));
+    }
+    
     dispatchErrorEvent(message) {
         const errorEvent = new CustomEvent('error', {
             detail: { message }
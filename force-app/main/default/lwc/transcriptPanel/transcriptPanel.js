@@ -0,0 +1,59 @@
+import { LightningElement, api } from 'lwc';
+
+// Distance from the bottom within which the panel keeps following new utterances
+const FOLLOW_THRESHOLD_PX = 40;
+
+export default class TranscriptPanel extends LightningElement {
+    // [{ id, speakerLabel, text, timeLabel, cssClass, linkedFields: [{ fieldName, fieldLabel }], hasLinkedFields }]
+    @api utterances = [];
+    @api highlightedId;
+
+    isFollowing = true;
+    renderedCount = 0;
+    scrolledToId;
+
+    get hasUtterances() {
+        return this.utterances && this.utterances.length > 0;
+    }
+
+    get utteranceCount() {
+        return this.utterances ? this.utterances.length : 0;
+    }
+
+    // Follow the live transcript unless the agent has scrolled up to read; a new highlight always wins
+    renderedCallback() {
+        const list = this.template.querySelector('.transcript-list');
+        if (!list) {
+            return;
+        }
+
+        if (this.highlightedId && this.highlightedId !== this.scrolledToId) {
+            const item = this.template.querySelector(`[data-utterance-id="${this.highlightedId}"]`);
+            if (item) {
+                item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        } else if (this.utteranceCount > this.renderedCount && this.isFollowing) {
+            list.scrollTop = list.scrollHeight;
+        }
+        this.scrolledToId = this.highlightedId;
+        this.renderedCount = this.utteranceCount;
+    }
+
+    handleScroll(event) {
+        const list = event.currentTarget;
+        this.isFollowing = list.scrollHeight - list.scrollTop - list.clientHeight < FOLLOW_THRESHOLD_PX;
+    }
+
+    handleUtteranceClick(event) {
+        this.dispatchEvent(new CustomEvent('utteranceselect', {
+            detail: { utteranceId: event.currentTarget.dataset.utteranceId }
+        }));
+    }
+
+    handleFieldClick(event) {
+        event.stopPropagation();
+        this.dispatchEvent(new CustomEvent('fieldselect', {
+            detail: { fieldName: event.currentTarget.dataset.fieldName }
+        }));
+    }
+}
@@ -0,0 +1,106 @@
+import {
+    evaluateRule,
+    getOperatorLabel,
+    isTargetVisible,
+    operatorNeedsValue,
+    parseVisibilityRules,
+    RULE_TARGET_TYPES
+} from 'c/visibilityRules';
+
+const rule = (operator, value, extra = {}) => ({ field: 'Status__c', operator, value, ...extra });
+
+describe('c-visibility-rules', () => {
+    describe('operators', () => {
+        it('knows which operators take a value', () => {
+            expect(operatorNeedsValue('equals')).toBe(true);
+            expect(operatorNeedsValue('isBlank')).toBe(false);
+        });
+
+        it('labels operators, falling back to the raw name', () => {
+            expect(getOperatorLabel('notEquals')).toBe('does not equal');
+            expect(getOperatorLabel('between')).toBe('between');
+        });
+    });
+
+    describe('evaluateRule', () => {
+        it('compares text case-insensitively', () => {
+            expect(evaluateRule(rule('equals', 'Open'), ' open ')).toBe(true);
+            expect(evaluateRule(rule('contains', 'road'), 'Fibre Broadband')).toBe(true);
+            expect(evaluateRule(rule('notEquals', 'Open'), 'Closed')).toBe(true);
+        });
+
+        it('treats a blank value as not equal to anything', () => {
+            expect(evaluateRule(rule('equals', ''), '')).toBe(false);
+            expect(evaluateRule(rule('notEquals', 'Open'), null)).toBe(true);
+            expect(evaluateRule(rule('greaterThan', '0'), undefined)).toBe(false);
+        });
+
+        it('matches any entry of a multi-select value', () => {
+            expect(evaluateRule(rule('equals', 'Email'), 'Phone;Email')).toBe(true);
+            expect(evaluateRule(rule('notEquals', 'Email'), 'Phone;Email')).toBe(false);
+            expect(evaluateRule(rule('equals', 'Post'), 'Phone;Email')).toBe(false);
+        });
+
+        it('compares numbers numerically', () => {
+            expect(evaluateRule(rule('greaterThan', '9'), '10')).toBe(true);
+            expect(evaluateRule(rule('lessThan', '100'), 25)).toBe(true);
+            expect(evaluateRule(rule('greaterThan', '10'), '9.5')).toBe(false);
+        });
+
+        it('compares non-numbers as text, so ISO dates order correctly', () => {
+            expect(evaluateRule(rule('greaterThan', '2024-01-31'), '2024-02-01')).toBe(true);
+            expect(evaluateRule(rule('lessThan', 'beta'), 'Alpha')).toBe(true);
+        });
+
+        it('checks blankness without a value', () => {
+            expect(evaluateRule(rule('isBlank'), '')).toBe(true);
+            expect(evaluateRule(rule('isNotBlank'), 0)).toBe(true);
+        });
+
+        it('passes rules with an unknown operator', () => {
+            expect(evaluateRule(rule('between', '1'), 'x')).toBe(true);
+        });
+    });
+
+    describe('isTargetVisible', () => {
+        const rules = [
+            rule('equals', 'Open', { targetType: RULE_TARGET_TYPES.FIELD, target: 'Reason__c' }),
+            rule('isNotBlank', null, { field: 'Owner__c', targetType: RULE_TARGET_TYPES.FIELD, target: 'Reason__c' }),
+            rule('equals', 'Closed', { targetType: RULE_TARGET_TYPES.SECTION, target: 'Reason__c' })
+        ];
+
+        it('shows a target only when all of its rules pass', () => {
+            const values = { Status__c: 'Open', Owner__c: 'Sam' };
+            expect(isTargetVisible(rules, RULE_TARGET_TYPES.FIELD, 'Reason__c', name => values[name])).toBe(true);
+
+            values.Owner__c = '';
+            expect(isTargetVisible(rules, RULE_TARGET_TYPES.FIELD, 'Reason__c', name => values[name])).toBe(false);
+        });
+
+        it('applies only rules of the target type and shows targets without rules', () => {
+            const values = { Status__c: 'Closed' };
+            expect(isTargetVisible(rules, RULE_TARGET_TYPES.SECTION, 'Reason__c', name => values[name])).toBe(true);
+            expect(isTargetVisible(rules, RULE_TARGET_TYPES.FIELD, 'Phone', name => values[name])).toBe(true);
+            expect(isTargetVisible(null, RULE_TARGET_TYPES.FIELD, 'Phone', name => values[name])).toBe(true);
+        });
+    });
+
+    describe('parseVisibilityRules', () => {
+        it('keeps only complete rules', () => {
+            const json = JSON.stringify([
+                rule('equals', 'Open', { targetType: 'field', target: 'Reason__c' }),
+                { field: 'Status__c', operator: 'equals' },
+                null
+            ]);
+            expect(parseVisibilityRules(json)).toHaveLength(1);
+        });
+
+        it('returns no rules for empty, invalid or non-array JSON', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            expect(parseVisibilityRules('')).toEqual([]);
+            expect(parseVisibilityRules('{')).toEqual([]);
+            expect(parseVisibilityRules('{}')).toEqual([]);
+            console.error.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,97 @@
+// Conditional visibility for form fields and sections (Dynamic_Field_Analysis__c.Visibility_Rules__c).
+// A target with several rules is shown only when all of them pass.
+
+export const RULE_TARGET_TYPES = {
+    FIELD: 'field',
+    SECTION: 'section'
+};
+
+export const VISIBILITY_OPERATORS = [
+    { label: 'equals', value: 'equals' },
+    { label: 'does not equal', value: 'notEquals' },
+    { label: 'contains', value: 'contains' },
+    { label: 'is greater than', value: 'greaterThan' },
+    { label: 'is less than', value: 'lessThan' },
+    { label: 'is blank', value: 'isBlank' },
+    { label: 'is not blank', value: 'isNotBlank' }
+];
+
+const VALUELESS_OPERATORS = ['isBlank', 'isNotBlank'];
+
+export function operatorNeedsValue(operator) {
+    return !VALUELESS_OPERATORS.includes(operator);
+}
+
+export function getOperatorLabel(operator) {
+    const match = VISIBILITY_OPERATORS.find(option => option.value === operator);
+    return match ? match.label : operator;
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function normalize(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+// Numbers compare numerically; anything else (ISO dates included) compares as text
+function compare(fieldValue, ruleValue) {
+    const fieldNumber = Number(fieldValue);
+    const ruleNumber = Number(ruleValue);
+    if (!isBlank(ruleValue) && !Number.isNaN(fieldNumber) && !Number.isNaN(ruleNumber)) {
+        return fieldNumber - ruleNumber;
+    }
+    return normalize(fieldValue).localeCompare(normalize(ruleValue));
+}
+
+// Multi-select picklists arrive as "A;B" and equal a rule value when any entry does
+function valueEquals(fieldValue, ruleValue) {
+    const expected = normalize(ruleValue);
+    if (normalize(fieldValue) === expected) {
+        return true;
+    }
+    return typeof fieldValue === 'string' && fieldValue.includes(';') &&
+        fieldValue.split(';').some(entry => normalize(entry) === expected);
+}
+
+export function evaluateRule(rule, fieldValue) {
+    switch (rule.operator) {
+        case 'equals':
+            return !isBlank(fieldValue) && valueEquals(fieldValue, rule.value);
+        case 'notEquals':
+            return isBlank(fieldValue) || !valueEquals(fieldValue, rule.value);
+        case 'contains':
+            return !isBlank(fieldValue) && normalize(fieldValue).includes(normalize(rule.value));
+        case 'greaterThan':
+            return !isBlank(fieldValue) && compare(fieldValue, rule.value) > 0;
+        case 'lessThan':
+            return !isBlank(fieldValue) && compare(fieldValue, rule.value) < 0;
+        case 'isBlank':
+            return isBlank(fieldValue);
+        case 'isNotBlank':
+            return !isBlank(fieldValue);
+        default:
+            return true;
+    }
+}
+
+// getValue(fieldName) returns the controlling field's current value
+export function isTargetVisible(rules, targetType, target, getValue) {
+    return (rules || [])
+        .filter(rule => rule.targetType === targetType && rule.target === target)
+        .every(rule => evaluateRule(rule, getValue(rule.field)));
+}
+
+export function parseVisibilityRules(rulesJson) {
+    if (!rulesJson) {
+        return [];
+    }
+    try {
+        const rules = JSON.parse(rulesJson);
+        return Array.isArray(rules) ? rules.filter(rule => rule && rule.target && rule.field && rule.operator) : [];
+    } catch (error) {
+        console.error('Error parsing visibility rules:', error);
+        return [];
+    }
+}